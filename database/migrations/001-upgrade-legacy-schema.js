@@ -0,0 +1,237 @@
+/**
+ * Databases created before migrations existed: add the columns later releases added to
+ * their tables, then create whatever tables and indexes they lack. The schema is the one
+ * this migration was written against, not schema.sql, so every legacy database comes out
+ * the same; later changes are left to later migrations.
+ */
+
+const { addMissingColumns } = require('../../lib/migrations');
+
+const SITE_TABLES = ['visitors', 'sessions', 'page_views', 'events', 'visitor_details'];
+
+const ADDED_COLUMNS = {
+    sessions: {
+        last_activity_at: 'DATETIME',
+        is_bounce: 'BOOLEAN',
+        utm_term: 'TEXT',
+        utm_content: 'TEXT',
+        gclid: 'TEXT',
+        fbclid: 'TEXT',
+        landing_page: 'TEXT'
+    },
+    page_views: { time_on_page: 'INTEGER' },
+    visitors: { is_bot: 'BOOLEAN DEFAULT 0', bot_name: 'TEXT' },
+    api_keys: { site_id: 'INTEGER' }
+};
+for (const table of SITE_TABLES) {
+    ADDED_COLUMNS[table] = { ...ADDED_COLUMNS[table], site_id: 'INTEGER' };
+}
+
+// schema.sql as of this migration
+const SCHEMA = `
+    -- Visitors Table
+    CREATE TABLE IF NOT EXISTS visitors (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        visitor_id TEXT UNIQUE NOT NULL, -- Unique visitor identifier (cookie-based)
+        site_id INTEGER,
+        ip_address TEXT,
+        user_agent TEXT,
+        is_bot BOOLEAN DEFAULT 0, -- Crawler, headless browser or HTTP library
+        bot_name TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        last_seen DATETIME DEFAULT CURRENT_TIMESTAMP
+    );
+
+    -- Sessions Table
+    CREATE TABLE IF NOT EXISTS sessions (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        visitor_id TEXT NOT NULL,
+        session_id TEXT UNIQUE NOT NULL,
+        site_id INTEGER,
+        started_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        last_activity_at DATETIME, -- Last hit or heartbeat, used for the inactivity timeout
+        ended_at DATETIME,
+        duration INTEGER, -- Duration in seconds
+        page_views INTEGER DEFAULT 0,
+        is_bounce BOOLEAN, -- Set when the session is closed
+        referrer TEXT,
+        referrer_domain TEXT,
+        utm_source TEXT,
+        utm_medium TEXT,
+        utm_campaign TEXT,
+        utm_term TEXT,
+        utm_content TEXT,
+        gclid TEXT, -- Google Ads click id
+        fbclid TEXT, -- Facebook click id
+        landing_page TEXT,
+        FOREIGN KEY (visitor_id) REFERENCES visitors(visitor_id)
+    );
+
+    -- Page Views Table
+    CREATE TABLE IF NOT EXISTS page_views (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        session_id TEXT NOT NULL,
+        visitor_id TEXT NOT NULL,
+        page_path TEXT NOT NULL,
+        site_id INTEGER,
+        page_title TEXT,
+        viewed_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        time_on_page INTEGER, -- Seconds until the next page view, heartbeat or pagehide
+        is_bounce BOOLEAN DEFAULT 0,
+        FOREIGN KEY (session_id) REFERENCES sessions(session_id),
+        FOREIGN KEY (visitor_id) REFERENCES visitors(visitor_id)
+    );
+
+    -- Visitor Details Table (geolocation, device info)
+    CREATE TABLE IF NOT EXISTS visitor_details (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        visitor_id TEXT NOT NULL,
+        site_id INTEGER,
+        country TEXT,
+        country_code TEXT,
+        city TEXT,
+        region TEXT,
+        latitude REAL,
+        longitude REAL,
+        timezone TEXT,
+        browser TEXT,
+        browser_version TEXT,
+        device_type TEXT, -- desktop, mobile, tablet
+        device_brand TEXT,
+        device_model TEXT,
+        os TEXT,
+        os_version TEXT,
+        screen_width INTEGER,
+        screen_height INTEGER,
+        language TEXT,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (visitor_id) REFERENCES visitors(visitor_id)
+    );
+
+    -- Events Table (custom events, clicks, etc.)
+    CREATE TABLE IF NOT EXISTS events (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        session_id TEXT NOT NULL,
+        visitor_id TEXT NOT NULL,
+        site_id INTEGER,
+        event_type TEXT NOT NULL, -- click, scroll, form_submit, etc.
+        event_name TEXT,
+        event_data TEXT, -- JSON data
+        page_path TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (session_id) REFERENCES sessions(session_id),
+        FOREIGN KEY (visitor_id) REFERENCES visitors(visitor_id)
+    );
+
+    -- Sites Table (properties tracked by this API)
+    CREATE TABLE IF NOT EXISTS sites (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        domain TEXT UNIQUE NOT NULL,
+        name TEXT,
+        allowed_origins TEXT, -- Comma-separated origins allowed to send hits and read reports (CORS)
+        timezone TEXT DEFAULT 'UTC',
+        settings TEXT, -- JSON
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    );
+
+    -- API Keys Table (only a SHA-256 hash of each key is stored)
+    CREATE TABLE IF NOT EXISTS api_keys (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT NOT NULL,
+        key_hash TEXT UNIQUE NOT NULL,
+        key_prefix TEXT NOT NULL, -- First characters of the key, to tell keys apart
+        scopes TEXT NOT NULL, -- Comma-separated: read-stats, read-visitors, ingest, admin
+        site_id INTEGER, -- Restricts the key to one site
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        last_used_at DATETIME,
+        revoked_at DATETIME
+    );
+
+    -- Goals Table (what counts as a conversion on a site)
+    CREATE TABLE IF NOT EXISTS goals (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        site_id INTEGER NOT NULL,
+        name TEXT NOT NULL,
+        type TEXT NOT NULL, -- page, event or engagement
+        page_pattern TEXT, -- Page path, * matches any characters
+        event_name TEXT,
+        event_properties TEXT, -- JSON object of property values the event must carry
+        min_duration INTEGER, -- Seconds
+        min_page_views INTEGER,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (site_id) REFERENCES sites(id)
+    );
+
+    -- Funnels Table (saved funnel definitions)
+    CREATE TABLE IF NOT EXISTS funnels (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        site_id INTEGER NOT NULL,
+        name TEXT NOT NULL,
+        steps TEXT NOT NULL, -- JSON array of { type: page|event, value }
+        step_order TEXT DEFAULT 'loose', -- loose or strict
+        conversion_window TEXT, -- e.g. 30m, 2h, 7d; NULL for no limit
+        count_by TEXT DEFAULT 'sessions', -- sessions or visitors
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (site_id, name),
+        FOREIGN KEY (site_id) REFERENCES sites(id)
+    );
+
+    -- Rollups Table (visitors, sessions and page views per site, dimension value and hour or day;
+    -- bot traffic excluded; visitors are unique within the bucket)
+    CREATE TABLE IF NOT EXISTS rollups (
+        granularity TEXT NOT NULL, -- hour or day
+        bucket DATETIME NOT NULL, -- Start of the hour or day (UTC)
+        site_id INTEGER,
+        dimension TEXT NOT NULL, -- total, page, entry_page, source, utm_*, country, device, browser
+        value TEXT NOT NULL, -- '' when the dimension has no value
+        visitors INTEGER NOT NULL DEFAULT 0,
+        sessions INTEGER NOT NULL DEFAULT 0,
+        page_views INTEGER NOT NULL DEFAULT 0
+    );
+
+    -- Rollup State Table (buckets before rolled_until are rolled up)
+    CREATE TABLE IF NOT EXISTS rollup_state (
+        granularity TEXT PRIMARY KEY,
+        rolled_until DATETIME NOT NULL
+    );
+
+    -- Daily Salts Table (cookieless visitor IDs and hashed IPs; only today's salt is kept)
+    CREATE TABLE IF NOT EXISTS daily_salts (
+        day TEXT PRIMARY KEY, -- YYYY-MM-DD (UTC)
+        salt TEXT NOT NULL
+    );
+
+    -- Indexes for performance
+    CREATE INDEX IF NOT EXISTS idx_visitors_visitor_id ON visitors(visitor_id);
+    CREATE INDEX IF NOT EXISTS idx_visitors_created_at ON visitors(created_at);
+    CREATE INDEX IF NOT EXISTS idx_sessions_visitor_id ON sessions(visitor_id);
+    CREATE INDEX IF NOT EXISTS idx_sessions_visitor_started_at ON sessions(visitor_id, started_at);
+    CREATE INDEX IF NOT EXISTS idx_sessions_started_at ON sessions(started_at);
+    CREATE INDEX IF NOT EXISTS idx_sessions_ended_at ON sessions(ended_at);
+    CREATE INDEX IF NOT EXISTS idx_page_views_session_id ON page_views(session_id);
+    CREATE INDEX IF NOT EXISTS idx_page_views_viewed_at ON page_views(viewed_at);
+    CREATE UNIQUE INDEX IF NOT EXISTS idx_visitor_details_visitor_id ON visitor_details(visitor_id);
+    CREATE INDEX IF NOT EXISTS idx_events_session_id ON events(session_id);
+    CREATE INDEX IF NOT EXISTS idx_events_created_at ON events(created_at);
+    CREATE INDEX IF NOT EXISTS idx_events_event_name ON events(event_name);
+    CREATE INDEX IF NOT EXISTS idx_goals_site_id ON goals(site_id);
+    CREATE UNIQUE INDEX IF NOT EXISTS idx_rollups_dimension_bucket ON rollups(dimension, granularity, bucket, site_id, value);
+    CREATE INDEX IF NOT EXISTS idx_sessions_site_started_at ON sessions(site_id, started_at);
+    CREATE INDEX IF NOT EXISTS idx_page_views_site_viewed_at ON page_views(site_id, viewed_at);
+    CREATE INDEX IF NOT EXISTS idx_events_site_created_at ON events(site_id, created_at);
+    CREATE INDEX IF NOT EXISTS idx_visitor_details_site_id ON visitor_details(site_id);
+    CREATE INDEX IF NOT EXISTS idx_visitors_site_id ON visitors(site_id);
+`;
+
+function up(db) {
+    for (const [table, columns] of Object.entries(ADDED_COLUMNS)) {
+        const exists = db.prepare("SELECT 1 FROM sqlite_master WHERE type = 'table' AND name = ?").get(table);
+        if (exists) {
+            addMissingColumns(db, table, columns);
+        }
+    }
+    // Indexes on added columns can only be created once the columns exist
+    db.exec(SCHEMA);
+}
+
+module.exports = { up };
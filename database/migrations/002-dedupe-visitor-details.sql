@@ -0,0 +1,7 @@
+-- visitor_details had no unique key, so INSERT OR REPLACE added a row on every hit instead of
+-- replacing the visitor's row. Keep each visitor's latest row and make visitor_id unique.
+DELETE FROM visitor_details
+WHERE id NOT IN (SELECT MAX(id) FROM visitor_details GROUP BY visitor_id);
+
+DROP INDEX IF EXISTS idx_visitor_details_visitor_id;
+CREATE UNIQUE INDEX idx_visitor_details_visitor_id ON visitor_details(visitor_id);
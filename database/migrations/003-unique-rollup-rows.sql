@@ -0,0 +1,8 @@
+-- One rollup row per bucket, site, dimension and value
+DELETE FROM rollups
+WHERE rowid NOT IN (
+    SELECT MAX(rowid) FROM rollups GROUP BY granularity, bucket, site_id, dimension, value
+);
+
+DROP INDEX IF EXISTS idx_rollups_dimension_bucket;
+CREATE UNIQUE INDEX idx_rollups_dimension_bucket ON rollups(dimension, granularity, bucket, site_id, value);
@@ -0,0 +1,35 @@
+-- Alert rules and the log of their webhook deliveries
+CREATE TABLE IF NOT EXISTS alert_rules (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    site_id INTEGER NOT NULL,
+    name TEXT NOT NULL,
+    metric TEXT NOT NULL, -- active_visitors, pageviews, goal_completions, not_found
+    goal_id INTEGER, -- For goal_completions; a deleted goal counts 0
+    condition TEXT NOT NULL, -- above, below, spike, drop
+    threshold REAL NOT NULL, -- A value for above/below, a percentage change for spike/drop
+    window_minutes INTEGER NOT NULL,
+    cooldown_minutes INTEGER NOT NULL,
+    webhook_url TEXT NOT NULL,
+    webhook_secret TEXT NOT NULL, -- HMAC key for signing deliveries
+    enabled BOOLEAN NOT NULL DEFAULT 1,
+    last_fired_at DATETIME,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (site_id) REFERENCES sites(id)
+);
+
+CREATE TABLE IF NOT EXISTS webhook_deliveries (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    rule_id INTEGER NOT NULL,
+    event_id TEXT NOT NULL, -- Same for every attempt of one alert
+    url TEXT NOT NULL,
+    payload TEXT NOT NULL, -- JSON
+    attempt INTEGER NOT NULL,
+    status_code INTEGER,
+    error TEXT, -- NULL when delivered
+    duration_ms INTEGER,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (rule_id) REFERENCES alert_rules(id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_alert_rules_site_id ON alert_rules(site_id);
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_rule_id ON webhook_deliveries(rule_id);
@@ -0,0 +1,32 @@
+-- Email report subscriptions and the log of their deliveries
+CREATE TABLE IF NOT EXISTS report_subscriptions (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    site_id INTEGER NOT NULL,
+    name TEXT NOT NULL,
+    recipients TEXT NOT NULL, -- Comma-separated email addresses
+    schedule TEXT NOT NULL, -- Cron expression in the site's timezone
+    period TEXT NOT NULL, -- 24h, 7d, 30d, 90d
+    enabled BOOLEAN NOT NULL DEFAULT 1,
+    next_run_at DATETIME, -- NULL when disabled
+    last_sent_at DATETIME,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (site_id) REFERENCES sites(id)
+);
+
+CREATE TABLE IF NOT EXISTS report_deliveries (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    subscription_id INTEGER NOT NULL,
+    recipients TEXT NOT NULL,
+    subject TEXT,
+    period_start DATETIME,
+    period_end DATETIME,
+    status TEXT NOT NULL, -- sent, failed
+    error TEXT,
+    message_id TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (subscription_id) REFERENCES report_subscriptions(id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_report_subscriptions_site_id ON report_subscriptions(site_id);
+CREATE INDEX IF NOT EXISTS idx_report_subscriptions_next_run_at ON report_subscriptions(next_run_at);
+CREATE INDEX IF NOT EXISTS idx_report_deliveries_subscription_id ON report_deliveries(subscription_id);
@@ -0,0 +1,57 @@
+/**
+ * Imports from other analytics tools: the tables that record them and an import_id on the rows
+ * they write
+ */
+
+const { addMissingColumns } = require('../../lib/migrations');
+
+function up(db) {
+    addMissingColumns(db, 'visitors', { import_id: 'INTEGER' });
+    addMissingColumns(db, 'sessions', { import_id: 'INTEGER', import_source: 'TEXT' });
+    addMissingColumns(db, 'page_views', { import_id: 'INTEGER' });
+    addMissingColumns(db, 'visitor_details', { import_id: 'INTEGER' });
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS imports (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            site_id INTEGER NOT NULL,
+            source TEXT NOT NULL, -- ga4, plausible, matomo
+            file_name TEXT,
+            file_size INTEGER NOT NULL,
+            file_hash TEXT NOT NULL, -- SHA-256 of the file; a file is imported once per site
+            status TEXT NOT NULL, -- running, completed, failed, rolled_back
+            until DATETIME, -- Rows from here on are skipped (the cutover to tracking)
+            bytes_read INTEGER NOT NULL DEFAULT 0,
+            rows_read INTEGER NOT NULL DEFAULT 0,
+            rows_imported INTEGER NOT NULL DEFAULT 0,
+            rows_skipped INTEGER NOT NULL DEFAULT 0,
+            error TEXT,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            finished_at DATETIME,
+            rolled_back_at DATETIME,
+            FOREIGN KEY (site_id) REFERENCES sites(id)
+        );
+
+        CREATE TABLE IF NOT EXISTS import_aggregates (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            import_id INTEGER NOT NULL,
+            site_id INTEGER NOT NULL,
+            day TEXT NOT NULL, -- YYYY-MM-DD (UTC)
+            dimension TEXT NOT NULL, -- A rollup dimension
+            value TEXT NOT NULL, -- '' when the dimension has no value
+            visitors INTEGER NOT NULL DEFAULT 0,
+            sessions INTEGER NOT NULL DEFAULT 0,
+            page_views INTEGER NOT NULL DEFAULT 0,
+            UNIQUE (import_id, day, dimension, value),
+            FOREIGN KEY (import_id) REFERENCES imports(id)
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_visitors_import_id ON visitors(import_id);
+        CREATE INDEX IF NOT EXISTS idx_sessions_import_id ON sessions(import_id);
+        CREATE INDEX IF NOT EXISTS idx_page_views_import_id ON page_views(import_id);
+        CREATE INDEX IF NOT EXISTS idx_visitor_details_import_id ON visitor_details(import_id);
+        CREATE INDEX IF NOT EXISTS idx_imports_site_id ON imports(site_id);
+        CREATE INDEX IF NOT EXISTS idx_import_aggregates_site_day ON import_aggregates(site_id, day, dimension);
+    `);
+}
+
+module.exports = { up };
@@ -0,0 +1,32 @@
+-- Core Web Vitals and navigation timings, one row per measured page view
+CREATE TABLE IF NOT EXISTS web_vitals (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    site_id INTEGER NOT NULL,
+    session_id TEXT NOT NULL,
+    visitor_id TEXT NOT NULL,
+    page_view_id INTEGER, -- Measured page view, if found (no foreign key: page views are pruned on their own)
+    page_path TEXT,
+    lcp REAL, -- Largest Contentful Paint (ms)
+    inp REAL, -- Interaction to Next Paint (ms)
+    cls REAL, -- Cumulative Layout Shift (score)
+    fcp REAL, -- First Contentful Paint (ms)
+    ttfb REAL, -- Time to First Byte (ms)
+    dns_time REAL, -- Navigation timings (ms)
+    connect_time REAL,
+    tls_time REAL,
+    request_time REAL,
+    response_time REAL,
+    dom_interactive REAL,
+    dom_content_loaded REAL,
+    load_time REAL,
+    transfer_size INTEGER, -- Bytes
+    navigation_type TEXT, -- navigate, reload, back_forward, prerender
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (session_id) REFERENCES sessions(session_id),
+    FOREIGN KEY (visitor_id) REFERENCES visitors(visitor_id)
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_web_vitals_page_view_id ON web_vitals(page_view_id);
+CREATE INDEX IF NOT EXISTS idx_web_vitals_session_id ON web_vitals(session_id);
+CREATE INDEX IF NOT EXISTS idx_web_vitals_site_created_at ON web_vitals(site_id, created_at);
@@ -1,14 +1,20 @@
 -- Cloud Dept. Analytics Database Schema
 -- SQLite Database (can be migrated to PostgreSQL later)
+-- The current schema, used to create new databases. Existing databases are brought up to date by
+-- the numbered migrations in database/migrations: every change here needs one there too.
 
 -- Visitors Table
 CREATE TABLE IF NOT EXISTS visitors (
     id INTEGER PRIMARY KEY AUTOINCREMENT,
     visitor_id TEXT UNIQUE NOT NULL, -- Unique visitor identifier (cookie-based)
+    site_id INTEGER,
     ip_address TEXT,
     user_agent TEXT,
+    is_bot BOOLEAN DEFAULT 0, -- Crawler, headless browser or HTTP library
+    bot_name TEXT,
     created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-    last_seen DATETIME DEFAULT CURRENT_TIMESTAMP
+    last_seen DATETIME DEFAULT CURRENT_TIMESTAMP,
+    import_id INTEGER -- Set for rows imported from another analytics tool
 );
 
 -- Sessions Table
@@ -16,15 +22,25 @@ CREATE TABLE IF NOT EXISTS sessions (
     id INTEGER PRIMARY KEY AUTOINCREMENT,
     visitor_id TEXT NOT NULL,
     session_id TEXT UNIQUE NOT NULL,
+    site_id INTEGER,
     started_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    last_activity_at DATETIME, -- Last hit or heartbeat, used for the inactivity timeout
     ended_at DATETIME,
     duration INTEGER, -- Duration in seconds
-    page_views INTEGER DEFAULT 1,
+    page_views INTEGER DEFAULT 0,
+    is_bounce BOOLEAN, -- Set when the session is closed
     referrer TEXT,
     referrer_domain TEXT,
     utm_source TEXT,
     utm_medium TEXT,
     utm_campaign TEXT,
+    utm_term TEXT,
+    utm_content TEXT,
+    gclid TEXT, -- Google Ads click id
+    fbclid TEXT, -- Facebook click id
+    landing_page TEXT,
+    import_id INTEGER, -- Set for rows imported from another analytics tool
+    import_source TEXT, -- ga4, plausible, matomo
     FOREIGN KEY (visitor_id) REFERENCES visitors(visitor_id)
 );
 
@@ -34,9 +50,12 @@ CREATE TABLE IF NOT EXISTS page_views (
     session_id TEXT NOT NULL,
     visitor_id TEXT NOT NULL,
     page_path TEXT NOT NULL,
+    site_id INTEGER,
     page_title TEXT,
     viewed_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    time_on_page INTEGER, -- Seconds until the next page view, heartbeat or pagehide
     is_bounce BOOLEAN DEFAULT 0,
+    import_id INTEGER, -- Set for rows imported from another analytics tool
     FOREIGN KEY (session_id) REFERENCES sessions(session_id),
     FOREIGN KEY (visitor_id) REFERENCES visitors(visitor_id)
 );
@@ -45,6 +64,7 @@ CREATE TABLE IF NOT EXISTS page_views (
 CREATE TABLE IF NOT EXISTS visitor_details (
     id INTEGER PRIMARY KEY AUTOINCREMENT,
     visitor_id TEXT NOT NULL,
+    site_id INTEGER,
     country TEXT,
     country_code TEXT,
     city TEXT,
@@ -63,6 +83,7 @@ CREATE TABLE IF NOT EXISTS visitor_details (
     screen_height INTEGER,
     language TEXT,
     updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    import_id INTEGER, -- Set for rows imported from another analytics tool
     FOREIGN KEY (visitor_id) REFERENCES visitors(visitor_id)
 );
 
@@ -71,6 +92,7 @@ CREATE TABLE IF NOT EXISTS events (
     id INTEGER PRIMARY KEY AUTOINCREMENT,
     session_id TEXT NOT NULL,
     visitor_id TEXT NOT NULL,
+    site_id INTEGER,
     event_type TEXT NOT NULL, -- click, scroll, form_submit, etc.
     event_name TEXT,
     event_data TEXT, -- JSON data
@@ -80,12 +102,244 @@ CREATE TABLE IF NOT EXISTS events (
     FOREIGN KEY (visitor_id) REFERENCES visitors(visitor_id)
 );
 
+-- Sites Table (properties tracked by this API)
+CREATE TABLE IF NOT EXISTS sites (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    domain TEXT UNIQUE NOT NULL,
+    name TEXT,
+    allowed_origins TEXT, -- Comma-separated origins allowed to send hits and read reports (CORS)
+    timezone TEXT DEFAULT 'UTC',
+    settings TEXT, -- JSON
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+-- API Keys Table (only a SHA-256 hash of each key is stored)
+CREATE TABLE IF NOT EXISTS api_keys (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name TEXT NOT NULL,
+    key_hash TEXT UNIQUE NOT NULL,
+    key_prefix TEXT NOT NULL, -- First characters of the key, to tell keys apart
+    scopes TEXT NOT NULL, -- Comma-separated: read-stats, read-visitors, ingest, admin
+    site_id INTEGER, -- Restricts the key to one site
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    last_used_at DATETIME,
+    revoked_at DATETIME
+);
+
+-- Goals Table (what counts as a conversion on a site)
+CREATE TABLE IF NOT EXISTS goals (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    site_id INTEGER NOT NULL,
+    name TEXT NOT NULL,
+    type TEXT NOT NULL, -- page, event or engagement
+    page_pattern TEXT, -- Page path, * matches any characters
+    event_name TEXT,
+    event_properties TEXT, -- JSON object of property values the event must carry
+    min_duration INTEGER, -- Seconds
+    min_page_views INTEGER,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (site_id) REFERENCES sites(id)
+);
+
+-- Funnels Table (saved funnel definitions)
+CREATE TABLE IF NOT EXISTS funnels (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    site_id INTEGER NOT NULL,
+    name TEXT NOT NULL,
+    steps TEXT NOT NULL, -- JSON array of { type: page|event, value }
+    step_order TEXT DEFAULT 'loose', -- loose or strict
+    conversion_window TEXT, -- e.g. 30m, 2h, 7d; NULL for no limit
+    count_by TEXT DEFAULT 'sessions', -- sessions or visitors
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (site_id, name),
+    FOREIGN KEY (site_id) REFERENCES sites(id)
+);
+
+-- Rollups Table (visitors, sessions and page views per site, dimension value and hour or day;
+-- bot traffic excluded; visitors are unique within the bucket)
+CREATE TABLE IF NOT EXISTS rollups (
+    granularity TEXT NOT NULL, -- hour or day
+    bucket DATETIME NOT NULL, -- Start of the hour or day (UTC)
+    site_id INTEGER,
+    dimension TEXT NOT NULL, -- total, page, entry_page, source, utm_*, country, device, browser
+    value TEXT NOT NULL, -- '' when the dimension has no value
+    visitors INTEGER NOT NULL DEFAULT 0,
+    sessions INTEGER NOT NULL DEFAULT 0,
+    page_views INTEGER NOT NULL DEFAULT 0
+);
+
+-- Rollup State Table (buckets before rolled_until are rolled up)
+CREATE TABLE IF NOT EXISTS rollup_state (
+    granularity TEXT PRIMARY KEY,
+    rolled_until DATETIME NOT NULL
+);
+
+-- Daily Salts Table (cookieless visitor IDs and hashed IPs; only today's salt is kept)
+CREATE TABLE IF NOT EXISTS daily_salts (
+    day TEXT PRIMARY KEY, -- YYYY-MM-DD (UTC)
+    salt TEXT NOT NULL
+);
+
+-- Alert Rules Table (traffic rules that call a webhook when they fire)
+CREATE TABLE IF NOT EXISTS alert_rules (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    site_id INTEGER NOT NULL,
+    name TEXT NOT NULL,
+    metric TEXT NOT NULL, -- active_visitors, pageviews, goal_completions, not_found
+    goal_id INTEGER, -- For goal_completions; a deleted goal counts 0
+    condition TEXT NOT NULL, -- above, below, spike, drop
+    threshold REAL NOT NULL, -- A value for above/below, a percentage change for spike/drop
+    window_minutes INTEGER NOT NULL,
+    cooldown_minutes INTEGER NOT NULL,
+    webhook_url TEXT NOT NULL,
+    webhook_secret TEXT NOT NULL, -- HMAC key for signing deliveries
+    enabled BOOLEAN NOT NULL DEFAULT 1,
+    last_fired_at DATETIME,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (site_id) REFERENCES sites(id)
+);
+
+-- Webhook Deliveries Table (one row per delivery attempt)
+CREATE TABLE IF NOT EXISTS webhook_deliveries (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    rule_id INTEGER NOT NULL,
+    event_id TEXT NOT NULL, -- Same for every attempt of one alert
+    url TEXT NOT NULL,
+    payload TEXT NOT NULL, -- JSON
+    attempt INTEGER NOT NULL,
+    status_code INTEGER,
+    error TEXT, -- NULL when delivered
+    duration_ms INTEGER,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (rule_id) REFERENCES alert_rules(id)
+);
+
+-- Email Report Subscriptions Table
+CREATE TABLE IF NOT EXISTS report_subscriptions (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    site_id INTEGER NOT NULL,
+    name TEXT NOT NULL,
+    recipients TEXT NOT NULL, -- Comma-separated email addresses
+    schedule TEXT NOT NULL, -- Cron expression in the site's timezone
+    period TEXT NOT NULL, -- 24h, 7d, 30d, 90d
+    enabled BOOLEAN NOT NULL DEFAULT 1,
+    next_run_at DATETIME, -- NULL when disabled
+    last_sent_at DATETIME,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (site_id) REFERENCES sites(id)
+);
+
+-- Report Deliveries Table (one row per email sent or failed)
+CREATE TABLE IF NOT EXISTS report_deliveries (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    subscription_id INTEGER NOT NULL,
+    recipients TEXT NOT NULL,
+    subject TEXT,
+    period_start DATETIME,
+    period_end DATETIME,
+    status TEXT NOT NULL, -- sent, failed
+    error TEXT,
+    message_id TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (subscription_id) REFERENCES report_subscriptions(id)
+);
+
+-- Imports Table (exports of other analytics tools read into this database)
+CREATE TABLE IF NOT EXISTS imports (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    site_id INTEGER NOT NULL,
+    source TEXT NOT NULL, -- ga4, plausible, matomo
+    file_name TEXT,
+    file_size INTEGER NOT NULL,
+    file_hash TEXT NOT NULL, -- SHA-256 of the file; a file is imported once per site
+    status TEXT NOT NULL, -- running, completed, failed, rolled_back
+    until DATETIME, -- Rows from here on are skipped (the cutover to tracking)
+    bytes_read INTEGER NOT NULL DEFAULT 0,
+    rows_read INTEGER NOT NULL DEFAULT 0,
+    rows_imported INTEGER NOT NULL DEFAULT 0,
+    rows_skipped INTEGER NOT NULL DEFAULT 0,
+    error TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    finished_at DATETIME,
+    rolled_back_at DATETIME,
+    FOREIGN KEY (site_id) REFERENCES sites(id)
+);
+
+-- Import Aggregates Table (daily totals of imports without visit-level rows, added to rollups)
+CREATE TABLE IF NOT EXISTS import_aggregates (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    import_id INTEGER NOT NULL,
+    site_id INTEGER NOT NULL,
+    day TEXT NOT NULL, -- YYYY-MM-DD (UTC)
+    dimension TEXT NOT NULL, -- A rollup dimension
+    value TEXT NOT NULL, -- '' when the dimension has no value
+    visitors INTEGER NOT NULL DEFAULT 0,
+    sessions INTEGER NOT NULL DEFAULT 0,
+    page_views INTEGER NOT NULL DEFAULT 0,
+    UNIQUE (import_id, day, dimension, value),
+    FOREIGN KEY (import_id) REFERENCES imports(id)
+);
+
+-- Web Vitals Table (Core Web Vitals and navigation timings, one row per measured page view)
+CREATE TABLE IF NOT EXISTS web_vitals (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    site_id INTEGER NOT NULL,
+    session_id TEXT NOT NULL,
+    visitor_id TEXT NOT NULL,
+    page_view_id INTEGER, -- Measured page view, if found (no foreign key: page views are pruned on their own)
+    page_path TEXT,
+    lcp REAL, -- Largest Contentful Paint (ms)
+    inp REAL, -- Interaction to Next Paint (ms)
+    cls REAL, -- Cumulative Layout Shift (score)
+    fcp REAL, -- First Contentful Paint (ms)
+    ttfb REAL, -- Time to First Byte (ms)
+    dns_time REAL, -- Navigation timings (ms)
+    connect_time REAL,
+    tls_time REAL,
+    request_time REAL,
+    response_time REAL,
+    dom_interactive REAL,
+    dom_content_loaded REAL,
+    load_time REAL,
+    transfer_size INTEGER, -- Bytes
+    navigation_type TEXT, -- navigate, reload, back_forward, prerender
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (session_id) REFERENCES sessions(session_id),
+    FOREIGN KEY (visitor_id) REFERENCES visitors(visitor_id)
+);
+
 -- Indexes for performance
 CREATE INDEX IF NOT EXISTS idx_visitors_visitor_id ON visitors(visitor_id);
+CREATE INDEX IF NOT EXISTS idx_visitors_created_at ON visitors(created_at);
 CREATE INDEX IF NOT EXISTS idx_sessions_visitor_id ON sessions(visitor_id);
+CREATE INDEX IF NOT EXISTS idx_sessions_visitor_started_at ON sessions(visitor_id, started_at);
 CREATE INDEX IF NOT EXISTS idx_sessions_started_at ON sessions(started_at);
+CREATE INDEX IF NOT EXISTS idx_sessions_ended_at ON sessions(ended_at);
 CREATE INDEX IF NOT EXISTS idx_page_views_session_id ON page_views(session_id);
 CREATE INDEX IF NOT EXISTS idx_page_views_viewed_at ON page_views(viewed_at);
-CREATE INDEX IF NOT EXISTS idx_visitor_details_visitor_id ON visitor_details(visitor_id);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_visitor_details_visitor_id ON visitor_details(visitor_id);
 CREATE INDEX IF NOT EXISTS idx_events_session_id ON events(session_id);
 CREATE INDEX IF NOT EXISTS idx_events_created_at ON events(created_at);
+CREATE INDEX IF NOT EXISTS idx_events_event_name ON events(event_name);
+CREATE INDEX IF NOT EXISTS idx_goals_site_id ON goals(site_id);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_rollups_dimension_bucket ON rollups(dimension, granularity, bucket, site_id, value);
+CREATE INDEX IF NOT EXISTS idx_sessions_site_started_at ON sessions(site_id, started_at);
+CREATE INDEX IF NOT EXISTS idx_page_views_site_viewed_at ON page_views(site_id, viewed_at);
+CREATE INDEX IF NOT EXISTS idx_events_site_created_at ON events(site_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_visitor_details_site_id ON visitor_details(site_id);
+CREATE INDEX IF NOT EXISTS idx_visitors_site_id ON visitors(site_id);
+CREATE INDEX IF NOT EXISTS idx_alert_rules_site_id ON alert_rules(site_id);
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_rule_id ON webhook_deliveries(rule_id);
+CREATE INDEX IF NOT EXISTS idx_report_subscriptions_site_id ON report_subscriptions(site_id);
+CREATE INDEX IF NOT EXISTS idx_report_subscriptions_next_run_at ON report_subscriptions(next_run_at);
+CREATE INDEX IF NOT EXISTS idx_report_deliveries_subscription_id ON report_deliveries(subscription_id);
+CREATE INDEX IF NOT EXISTS idx_visitors_import_id ON visitors(import_id);
+CREATE INDEX IF NOT EXISTS idx_sessions_import_id ON sessions(import_id);
+CREATE INDEX IF NOT EXISTS idx_page_views_import_id ON page_views(import_id);
+CREATE INDEX IF NOT EXISTS idx_visitor_details_import_id ON visitor_details(import_id);
+CREATE INDEX IF NOT EXISTS idx_imports_site_id ON imports(site_id);
+CREATE INDEX IF NOT EXISTS idx_import_aggregates_site_day ON import_aggregates(site_id, day, dimension);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_web_vitals_page_view_id ON web_vitals(page_view_id);
+CREATE INDEX IF NOT EXISTS idx_web_vitals_session_id ON web_vitals(session_id);
+CREATE INDEX IF NOT EXISTS idx_web_vitals_site_created_at ON web_vitals(site_id, created_at);
@@ -0,0 +1,373 @@
+/**
+ * Alerts
+ * Rules on a site's traffic, checked every minute, that call a webhook when they fire
+ */
+
+const crypto = require('crypto');
+const { ValidationError } = require('./errors');
+const { StatsQuery, toSqliteDateTime } = require('./query');
+const { goalCompletions } = require('./goals');
+const { percentChange } = require('./compare');
+const { createWebhookSecret } = require('./webhooks');
+
+const MINUTE_MS = 60 * 1000;
+const WEEK_MS = 7 * 24 * 60 * MINUTE_MS;
+
+// What a rule measures over its window, excluding bots. not_found counts "404" events, which
+// a site's 404 page sends with cdAnalytics.track('404').
+const ALERT_METRICS = {
+    active_visitors: { defaultWindow: 5 },
+    pageviews: { defaultWindow: 60 },
+    goal_completions: { defaultWindow: 60 },
+    not_found: { defaultWindow: 60 }
+};
+
+// above/below: the value against the threshold; spike/drop: the percentage change from the
+// same window a week earlier against the threshold
+const ALERT_CONDITIONS = ['above', 'below', 'spike', 'drop'];
+
+const MAX_WINDOW_MINUTES = 24 * 60;
+const MAX_COOLDOWN_MINUTES = 7 * 24 * 60;
+const DEFAULT_COOLDOWN_MINUTES = 60;
+// Windows a dry run may evaluate
+const MAX_DRY_RUN_EVALUATIONS = 2000;
+
+function toRule(row) {
+    return {
+        id: row.id,
+        siteId: row.site_id,
+        name: row.name,
+        metric: row.metric,
+        goalId: row.goal_id,
+        condition: row.condition,
+        threshold: row.threshold,
+        windowMinutes: row.window_minutes,
+        cooldownMinutes: row.cooldown_minutes,
+        webhookUrl: row.webhook_url,
+        enabled: row.enabled === 1,
+        lastFiredAt: row.last_fired_at,
+        created_at: row.created_at
+    };
+}
+
+function validateMinutes(value, name, max) {
+    if (!Number.isInteger(value) || value < 0 || value > max) {
+        throw new ValidationError(`${name} must be a whole number of minutes up to ${max}`);
+    }
+    return value;
+}
+
+function validateWebhookUrl(value) {
+    let url;
+    try {
+        url = new URL(value);
+    } catch (err) {
+        url = null;
+    }
+    if (!url || !['http:', 'https:'].includes(url.protocol)) {
+        throw new ValidationError('webhookUrl must be an http(s) URL');
+    }
+    return url.href;
+}
+
+/**
+ * Validate a complete rule definition.
+ * @param {object} fields
+ * @param {{ webhook?: boolean }} [options] webhook: false for dry runs, which send nothing
+ * @returns {object}
+ * @throws {ValidationError}
+ */
+function validateRule(fields, { webhook = true } = {}) {
+    if (typeof fields.name !== 'string' || fields.name.trim() === '') {
+        throw new ValidationError('name is required');
+    }
+    if (!Object.prototype.hasOwnProperty.call(ALERT_METRICS, fields.metric)) {
+        throw new ValidationError(`metric must be one of: ${Object.keys(ALERT_METRICS).join(', ')}`);
+    }
+    if (!ALERT_CONDITIONS.includes(fields.condition)) {
+        throw new ValidationError(`condition must be one of: ${ALERT_CONDITIONS.join(', ')}`);
+    }
+    if (typeof fields.threshold !== 'number' || !Number.isFinite(fields.threshold) || fields.threshold < 0) {
+        throw new ValidationError('threshold must be a non-negative number (a percentage for spike and drop)');
+    }
+    const rule = {
+        name: fields.name.trim(),
+        metric: fields.metric,
+        goalId: null,
+        condition: fields.condition,
+        threshold: fields.threshold,
+        windowMinutes: fields.windowMinutes ?? ALERT_METRICS[fields.metric].defaultWindow,
+        cooldownMinutes: fields.cooldownMinutes ?? DEFAULT_COOLDOWN_MINUTES,
+        webhookUrl: null,
+        enabled: fields.enabled ?? true
+    };
+    if (rule.metric === 'goal_completions') {
+        if (!Number.isInteger(fields.goalId)) {
+            throw new ValidationError('goalId is required for goal_completions');
+        }
+        rule.goalId = fields.goalId;
+    }
+    validateMinutes(rule.windowMinutes, 'windowMinutes', MAX_WINDOW_MINUTES);
+    if (rule.windowMinutes === 0) {
+        throw new ValidationError('windowMinutes must be at least 1');
+    }
+    validateMinutes(rule.cooldownMinutes, 'cooldownMinutes', MAX_COOLDOWN_MINUTES);
+    if (typeof rule.enabled !== 'boolean') {
+        throw new ValidationError('enabled must be true or false');
+    }
+    if (webhook || fields.webhookUrl !== undefined) {
+        rule.webhookUrl = validateWebhookUrl(fields.webhookUrl);
+    }
+    return rule;
+}
+
+/**
+ * Alert rules backed by the alert_rules table. Webhook secrets are generated on creation
+ * and only returned then.
+ * @param {import('better-sqlite3').Database} db
+ * @param {{ get: Function }} goals goal store, for checking goal rules
+ */
+function createAlertStore(db, goals) {
+    // Rules of one site, or of every site when siteId is null
+    function list(siteId = null) {
+        const rows = siteId
+            ? db.prepare('SELECT * FROM alert_rules WHERE site_id = ? ORDER BY id').all(siteId)
+            : db.prepare('SELECT * FROM alert_rules ORDER BY id').all();
+        return rows.map(toRule);
+    }
+
+    function get(id) {
+        const row = db.prepare('SELECT * FROM alert_rules WHERE id = ?').get(id);
+        return row ? toRule(row) : null;
+    }
+
+    // Rules checked by the alert job, with their webhook secrets
+    function listEnabled() {
+        return db.prepare('SELECT * FROM alert_rules WHERE enabled = 1 ORDER BY id').all()
+            .map(row => ({ ...toRule(row), webhookSecret: row.webhook_secret }));
+    }
+
+    // Validate a rule for a site, including that its goal belongs to the site
+    function validate(siteId, fields, options) {
+        const rule = validateRule(fields, options);
+        if (rule.goalId !== null) {
+            const goal = goals.get(rule.goalId);
+            if (!goal || goal.siteId !== siteId) {
+                throw new ValidationError(`Unknown goal for this site: ${rule.goalId}`);
+            }
+        }
+        return { ...rule, siteId };
+    }
+
+    // Insert a rule with a new webhook secret, or update one. Returns its id.
+    function save(rule, id, secret) {
+        const values = [
+            rule.name,
+            rule.metric,
+            rule.goalId,
+            rule.condition,
+            rule.threshold,
+            rule.windowMinutes,
+            rule.cooldownMinutes,
+            rule.webhookUrl,
+            rule.enabled ? 1 : 0
+        ];
+        if (id === undefined) {
+            return db.prepare(`
+                INSERT INTO alert_rules (name, metric, goal_id, condition, threshold, window_minutes, cooldown_minutes,
+                                         webhook_url, enabled, site_id, webhook_secret, created_at)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
+            `).run(...values, rule.siteId, secret).lastInsertRowid;
+        }
+        db.prepare(`
+            UPDATE alert_rules SET name = ?, metric = ?, goal_id = ?, condition = ?, threshold = ?,
+                                   window_minutes = ?, cooldown_minutes = ?, webhook_url = ?, enabled = ?
+            WHERE id = ?
+        `).run(...values, id);
+        return id;
+    }
+
+    /**
+     * Create a rule for a site.
+     * @param {number} siteId
+     * @param {object} fields name, metric, goalId, condition, threshold, windowMinutes,
+     *        cooldownMinutes, webhookUrl, enabled
+     * @returns {object} the rule and its webhookSecret
+     */
+    function create(siteId, fields) {
+        const secret = createWebhookSecret();
+        return { ...get(save(validate(siteId, fields), undefined, secret)), webhookSecret: secret };
+    }
+
+    // Fields not given keep their current value. Returns null if there is no such rule.
+    function update(id, fields) {
+        const existing = get(id);
+        if (!existing) {
+            return null;
+        }
+        return get(save(validate(existing.siteId, { ...existing, ...fields }), existing.id));
+    }
+
+    // Returns false if there is no such rule
+    function remove(id) {
+        return db.transaction(() => {
+            db.prepare('DELETE FROM webhook_deliveries WHERE rule_id = ?').run(id);
+            return db.prepare('DELETE FROM alert_rules WHERE id = ?').run(id).changes > 0;
+        })();
+    }
+
+    function markFired(id, at) {
+        db.prepare('UPDATE alert_rules SET last_fired_at = ? WHERE id = ?').run(toSqliteDateTime(at), id);
+    }
+
+    return { list, get, listEnabled, validate, create, update, remove, markFired };
+}
+
+/**
+ * Alert job: evaluates enabled rules over the window ending now and sends a webhook when one
+ * fires, unless it already fired within its cooldown.
+ * @param {import('better-sqlite3').Database} db
+ * @param {{ store: object, goals: object, webhooks: object }} deps
+ */
+function createAlertEngine(db, { store, goals, webhooks }) {
+    // The rule's metric between two instants
+    function measure(rule, from, to) {
+        const statsQuery = new StatsQuery({
+            siteId: rule.siteId,
+            start: from,
+            end: to,
+            period: 'custom',
+            timezone: 'UTC',
+            includeBots: false,
+            useRollups: false
+        });
+        const params = statsQuery.params;
+
+        if (rule.metric === 'active_visitors') {
+            return db.prepare(`SELECT COUNT(DISTINCT visitor_id) as value FROM page_views WHERE 1=1 ${statsQuery.where('page_views')}`)
+                .get(params).value;
+        }
+        if (rule.metric === 'pageviews') {
+            return db.prepare(`SELECT COUNT(*) as value FROM page_views WHERE 1=1 ${statsQuery.where('page_views')}`)
+                .get(params).value;
+        }
+        if (rule.metric === 'not_found') {
+            return db.prepare(`SELECT COUNT(*) as value FROM events WHERE event_name = '404' ${statsQuery.where('events')}`)
+                .get(params).value;
+        }
+        // Completions in sessions started in the window
+        const goal = goals.get(rule.goalId);
+        if (!goal) {
+            return 0;
+        }
+        const completions = goalCompletions(goal, 's');
+        return db.prepare(`
+            SELECT COALESCE(SUM(${completions.sql}), 0) as value
+            FROM sessions s
+            WHERE 1=1 ${statsQuery.where('sessions', { alias: 's' })}
+        `).get({ ...params, ...completions.params }).value;
+    }
+
+    /**
+     * Evaluate a rule over the window ending at `at`.
+     * @param {object} rule
+     * @param {Date} at
+     * @returns {{ from: Date, to: Date, value: number, previous: number|null, change: number|null, fired: boolean }}
+     */
+    function evaluate(rule, at) {
+        const from = new Date(at.getTime() - rule.windowMinutes * MINUTE_MS);
+        const value = measure(rule, from, at);
+        let previous = null;
+        let change = null;
+        let fired;
+        if (rule.condition === 'above' || rule.condition === 'below') {
+            fired = rule.condition === 'above' ? value > rule.threshold : value < rule.threshold;
+        } else {
+            previous = measure(rule, new Date(from.getTime() - WEEK_MS), new Date(at.getTime() - WEEK_MS));
+            change = percentChange(value, previous);
+            fired = change !== null && (rule.condition === 'spike' ? change >= rule.threshold : change <= -rule.threshold);
+        }
+        return { from, to: at, value, previous, change, fired };
+    }
+
+    function inCooldown(rule, lastFiredAt, at) {
+        return lastFiredAt !== null && at.getTime() - lastFiredAt.getTime() < rule.cooldownMinutes * MINUTE_MS;
+    }
+
+    function toPayload(rule, result) {
+        return {
+            id: crypto.randomUUID(),
+            type: 'alert',
+            firedAt: result.to.toISOString(),
+            rule: {
+                id: rule.id,
+                siteId: rule.siteId,
+                name: rule.name,
+                metric: rule.metric,
+                goalId: rule.goalId,
+                condition: rule.condition,
+                threshold: rule.threshold,
+                windowMinutes: rule.windowMinutes
+            },
+            window: { from: result.from.toISOString(), to: result.to.toISOString() },
+            value: result.value,
+            previous: result.previous,
+            change: result.change
+        };
+    }
+
+    // Evaluate every enabled rule now
+    function check() {
+        const at = new Date();
+        for (const rule of store.listEnabled()) {
+            try {
+                const lastFiredAt = rule.lastFiredAt ? new Date(`${rule.lastFiredAt.replace(' ', 'T')}Z`) : null;
+                if (inCooldown(rule, lastFiredAt, at)) {
+                    continue;
+                }
+                const result = evaluate(rule, at);
+                if (result.fired) {
+                    store.markFired(rule.id, at);
+                    webhooks.send({ ruleId: rule.id, url: rule.webhookUrl, secret: rule.webhookSecret }, toPayload(rule, result));
+                }
+            } catch (err) {
+                console.error(`Alert rule ${rule.id} error:`, err);
+            }
+        }
+    }
+
+    /**
+     * Replay a rule over past data without sending anything: one evaluation per window from
+     * `start` to `end`, with the cooldown applied between firings.
+     * @param {object} rule
+     * @param {Date} start
+     * @param {Date} end
+     * @returns {{ evaluations: number, fired: object[] }}
+     * @throws {ValidationError} when the range has too many windows
+     */
+    function dryRun(rule, start, end) {
+        const step = rule.windowMinutes * MINUTE_MS;
+        const evaluations = Math.floor((end.getTime() - start.getTime()) / step);
+        if (evaluations > MAX_DRY_RUN_EVALUATIONS) {
+            throw new ValidationError(`The range has more than ${MAX_DRY_RUN_EVALUATIONS} windows; use a shorter range or a longer windowMinutes`);
+        }
+        const fired = [];
+        let lastFiredAt = null;
+        for (let index = 1; index <= evaluations; index++) {
+            const at = new Date(start.getTime() + index * step);
+            if (inCooldown(rule, lastFiredAt, at)) {
+                continue;
+            }
+            const result = evaluate(rule, at);
+            if (result.fired) {
+                lastFiredAt = at;
+                fired.push({ from: result.from, to: result.to, value: result.value, previous: result.previous, change: result.change });
+            }
+        }
+        return { evaluations, fired };
+    }
+
+    return { check, evaluate, dryRun };
+}
+
+module.exports = { ALERT_METRICS, ALERT_CONDITIONS, validateRule, createAlertStore, createAlertEngine };
@@ -0,0 +1,141 @@
+/**
+ * API keys
+ * Hashed, scoped keys stored in the api_keys table and middleware that enforces scopes
+ */
+
+const crypto = require('crypto');
+
+// read-stats: reports; read-visitors: visitor-level data; ingest: site keys for /api/track;
+// admin: key management
+const SCOPES = ['read-stats', 'read-visitors', 'ingest', 'admin'];
+
+const KEY_PREFIX = 'cda_';
+
+// Only record last use once a minute per key, so reads don't turn into writes
+const LAST_USED_RESOLUTION = '-1 minute';
+
+function hashKey(key) {
+    return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+function generateKey() {
+    return KEY_PREFIX + crypto.randomBytes(24).toString('base64url');
+}
+
+// Constant-time comparison of two secrets of any length
+function secretsMatch(a, b) {
+    return crypto.timingSafeEqual(Buffer.from(hashKey(a), 'hex'), Buffer.from(hashKey(b), 'hex'));
+}
+
+// Read a key from "Authorization: Bearer <key>"
+function getBearerToken(req) {
+    const header = req.headers.authorization || '';
+    const match = header.match(/^Bearer\s+(\S+)$/i);
+    return match ? match[1] : null;
+}
+
+// Admin keys carry every scope
+function hasScope(apiKey, scope) {
+    return Boolean(apiKey) && (apiKey.scopes.includes(scope) || apiKey.scopes.includes('admin'));
+}
+
+function toApiKey(row) {
+    return {
+        id: row.id,
+        name: row.name,
+        prefix: row.key_prefix,
+        scopes: row.scopes.split(','),
+        siteId: row.site_id,
+        created_at: row.created_at,
+        last_used_at: row.last_used_at,
+        revoked_at: row.revoked_at
+    };
+}
+
+/**
+ * API key store backed by the api_keys table.
+ * @param {import('better-sqlite3').Database} db
+ * @param {{ adminToken?: string }} [options] adminToken is accepted as a key with every
+ *        scope, so the first keys can be created
+ */
+function createApiKeyStore(db, { adminToken } = {}) {
+    /**
+     * Create a key. The plain key is only returned here; the database keeps its hash.
+     * @param {string} name
+     * @param {string[]} scopes
+     * @param {number|null} [siteId] restrict the key to one site
+     * @returns {object} key metadata plus the plain `key`
+     */
+    function create(name, scopes, siteId = null) {
+        const key = generateKey();
+        const result = db.prepare(`
+            INSERT INTO api_keys (name, key_hash, key_prefix, scopes, site_id, created_at)
+            VALUES (?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
+        `).run(name, hashKey(key), key.slice(0, KEY_PREFIX.length + 6), scopes.join(','), siteId);
+        const row = db.prepare('SELECT * FROM api_keys WHERE id = ?').get(result.lastInsertRowid);
+        return { ...toApiKey(row), key };
+    }
+
+    function list() {
+        return db.prepare('SELECT * FROM api_keys ORDER BY created_at DESC, id DESC').all().map(toApiKey);
+    }
+
+    // Returns false if there is no active key with this id
+    function revoke(id) {
+        const result = db.prepare(`
+            UPDATE api_keys SET revoked_at = CURRENT_TIMESTAMP
+            WHERE id = ? AND revoked_at IS NULL
+        `).run(id);
+        return result.changes > 0;
+    }
+
+    /**
+     * Look up an active key.
+     * @param {string} key
+     * @returns {object|null} key metadata, or null if missing, not a string, unknown or revoked
+     */
+    function verify(key) {
+        if (!key || typeof key !== 'string') {
+            return null;
+        }
+        if (adminToken && secretsMatch(key, adminToken)) {
+            return { id: null, name: 'ADMIN_TOKEN', scopes: SCOPES, siteId: null };
+        }
+
+        const row = db.prepare('SELECT * FROM api_keys WHERE key_hash = ? AND revoked_at IS NULL').get(hashKey(key));
+        if (!row) {
+            return null;
+        }
+        db.prepare(`
+            UPDATE api_keys SET last_used_at = CURRENT_TIMESTAMP
+            WHERE id = ? AND (last_used_at IS NULL OR last_used_at < datetime('now', ?))
+        `).run(row.id, LAST_USED_RESOLUTION);
+        return toApiKey(row);
+    }
+
+    /**
+     * Express middleware that requires a bearer key with the given scope. Sets req.apiKey.
+     * @param {string} scope
+     */
+    function requireScope(scope) {
+        return (req, res, next) => {
+            const token = getBearerToken(req);
+            if (!token) {
+                return res.status(401).json({ error: 'API key required (Authorization: Bearer <key>)' });
+            }
+            const apiKey = verify(token);
+            if (!apiKey) {
+                return res.status(401).json({ error: 'Invalid or revoked API key' });
+            }
+            if (!hasScope(apiKey, scope)) {
+                return res.status(403).json({ error: `API key lacks the ${scope} scope` });
+            }
+            req.apiKey = apiKey;
+            next();
+        };
+    }
+
+    return { create, list, revoke, verify, requireScope };
+}
+
+module.exports = { SCOPES, createApiKeyStore, getBearerToken, hasScope, hashKey };
@@ -0,0 +1,184 @@
+/**
+ * Period comparison
+ * Parses the comparison range of a report and lines up current and previous values
+ */
+
+const { ValidationError } = require('./errors');
+const { StatsQuery, parseDate } = require('./query');
+
+const COMPARE_MODES = ['previous_period', 'previous_year', 'custom'];
+
+// Range timestamps have second precision and both ends are inclusive
+const SECOND_MS = 1000;
+
+function yearEarlier(date) {
+    const shifted = new Date(date);
+    shifted.setUTCFullYear(shifted.getUTCFullYear() - 1);
+    return shifted;
+}
+
+/**
+ * Parse the comparison range of a report: compare=previous_period (the same length, right
+ * before the report range), previous_year (the same range a year earlier), or custom with
+ * compareStartDate/compareEndDate, which also select custom on their own.
+ * @param {object} query Express req.query
+ * @param {StatsQuery} statsQuery the report query
+ * @returns {StatsQuery|null} the report query over the comparison range, or null if none is asked for
+ * @throws {ValidationError}
+ */
+function parseComparison(query, statsQuery) {
+    const custom = query.compareStartDate !== undefined || query.compareEndDate !== undefined;
+    if (query.compare === undefined && !custom) {
+        return null;
+    }
+    const mode = query.compare || 'custom';
+    if (!COMPARE_MODES.includes(mode)) {
+        throw new ValidationError(`compare must be one of: ${COMPARE_MODES.join(', ')}`);
+    }
+    if (custom && mode !== 'custom') {
+        throw new ValidationError('compareStartDate and compareEndDate only apply to compare=custom');
+    }
+
+    let start;
+    let end;
+    if (mode === 'custom') {
+        if (!query.compareStartDate || !query.compareEndDate) {
+            throw new ValidationError('compareStartDate and compareEndDate must be given together');
+        }
+        start = parseDate(query.compareStartDate, 'compareStartDate', statsQuery.timezone, false);
+        end = parseDate(query.compareEndDate, 'compareEndDate', statsQuery.timezone, true);
+        if (start > end) {
+            throw new ValidationError('compareStartDate must not be after compareEndDate');
+        }
+    } else {
+        if (!statsQuery.start) {
+            throw new ValidationError(`compare=${mode} needs a period other than all, or startDate/endDate`);
+        }
+        const currentEnd = statsQuery.end || new Date();
+        if (mode === 'previous_period') {
+            const length = currentEnd.getTime() - statsQuery.start.getTime() + SECOND_MS;
+            start = new Date(statsQuery.start.getTime() - length);
+            end = new Date(statsQuery.start.getTime() - SECOND_MS);
+        } else {
+            start = yearEarlier(statsQuery.start);
+            end = yearEarlier(currentEnd);
+        }
+    }
+
+    return new StatsQuery({ ...statsQuery, start, end, period: 'custom' });
+}
+
+/**
+ * How far the comparison range lies before the report range, for shifting trend windows.
+ * @param {StatsQuery} statsQuery
+ * @param {StatsQuery} comparison
+ * @returns {number} milliseconds
+ */
+function getComparisonShift(statsQuery, comparison) {
+    return (statsQuery.end || new Date()).getTime() - comparison.end.getTime();
+}
+
+/**
+ * Percentage change from a previous value. Null when there is nothing to compare with.
+ * @param {number|null} current
+ * @param {number|null} previous
+ * @returns {number|null}
+ */
+function percentChange(current, previous) {
+    if (current === null || current === undefined || previous === null || previous === undefined) {
+        return null;
+    }
+    if (previous === 0) {
+        return current === 0 ? 0 : null;
+    }
+    return (current - previous) * 100.0 / previous;
+}
+
+/**
+ * Previous value and change of each metric.
+ * @param {object} current metric name -> value
+ * @param {object} previous the same metrics over the comparison range
+ * @returns {object} metric name -> { previous, change }
+ */
+function compareMetrics(current, previous) {
+    const compared = {};
+    for (const [metric, value] of Object.entries(current)) {
+        compared[metric] = { previous: previous[metric], change: percentChange(value, previous[metric]) };
+    }
+    return compared;
+}
+
+// Averages and rates have no value where there was no row; counts are 0
+function isAverage(column) {
+    return column.startsWith('avg_') || column.endsWith('_rate');
+}
+
+/**
+ * Add previous_<metric> and <metric>_change to each row of a list report. Rows are matched on
+ * their non-numeric columns other than averages (the page, source, country...), so
+ * `previousRows` should be the comparison range's full list rather than its top rows.
+ * @param {object[]} rows
+ * @param {object[]} previousRows
+ * @returns {object[]}
+ */
+function compareRows(rows, previousRows) {
+    const keyOf = row => JSON.stringify(
+        Object.entries(row).filter(([column, value]) => typeof value !== 'number' && !isAverage(column)).map(([, value]) => value)
+    );
+    const previousByKey = new Map(previousRows.map(row => [keyOf(row), row]));
+
+    return rows.map(row => {
+        const previous = previousByKey.get(keyOf(row));
+        const compared = { ...row };
+        for (const [column, value] of Object.entries(row)) {
+            if (typeof value !== 'number') {
+                continue;
+            }
+            const previousValue = previous ? previous[column] : (isAverage(column) ? null : 0);
+            compared[`previous_${column}`] = previousValue;
+            compared[`${column}_change`] = percentChange(value, previousValue);
+        }
+        return compared;
+    });
+}
+
+/**
+ * Line up a trend with its comparison series: one row per bucket of the report window, with
+ * the comparison bucket's key and metrics as previous_*. Buckets without data count as 0.
+ * @param {string[]} buckets keys of the report window's buckets, in order
+ * @param {Function} previousBucket maps a bucket key to the comparison bucket's key
+ * @param {string} key name of the bucket column, e.g. date or hour
+ * @param {object[]} rows current trend rows
+ * @param {object[]} previousRows comparison trend rows
+ * @param {string[]} metrics
+ * @returns {object[]}
+ */
+function alignTrend(buckets, previousBucket, key, rows, previousRows, metrics) {
+    const current = new Map(rows.map(row => [row[key], row]));
+    const previous = new Map(previousRows.map(row => [row[key], row]));
+
+    return buckets.map(bucket => {
+        const previousKey = previousBucket(bucket);
+        const row = current.get(bucket) || {};
+        const previousRow = previous.get(previousKey) || {};
+        const aligned = { [key]: bucket };
+        for (const metric of metrics) {
+            aligned[metric] = row[metric] || 0;
+        }
+        aligned[`previous_${key}`] = previousKey;
+        for (const metric of metrics) {
+            aligned[`previous_${metric}`] = previousRow[metric] || 0;
+        }
+        return aligned;
+    });
+}
+
+module.exports = {
+    COMPARE_MODES,
+    parseComparison,
+    getComparisonShift,
+    percentChange,
+    compareMetrics,
+    compareRows,
+    alignTrend
+};
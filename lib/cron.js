@@ -0,0 +1,110 @@
+/**
+ * Cron
+ * Five-field cron schedules (minute hour day-of-month month day-of-week), run in a timezone
+ */
+
+const { ValidationError } = require('./errors');
+const { getWallClock, zonedTimeToUtc } = require('./query');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const FIELDS = [
+    { name: 'minute', min: 0, max: 59 },
+    { name: 'hour', min: 0, max: 23 },
+    { name: 'day of month', min: 1, max: 31 },
+    { name: 'month', min: 1, max: 12 },
+    // 0 and 7 are both Sunday
+    { name: 'day of week', min: 0, max: 7 }
+];
+
+// Days searched for the next run; covers schedules that only match on 29 February
+const MAX_SEARCH_DAYS = 8 * 366;
+
+// "*", "5", "1-5", "*/15", "0-30/10" or a comma-separated list of them
+function parseField(text, { name, min, max }) {
+    const values = new Set();
+    for (const part of text.split(',')) {
+        const match = part.match(/^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/);
+        if (!match) {
+            throw new ValidationError(`Invalid ${name} in schedule: ${part}`);
+        }
+        const from = match[1] === '*' ? min : Number(match[2]);
+        const to = match[1] === '*' ? max : match[3] !== undefined ? Number(match[3]) : (match[4] ? max : from);
+        const step = match[4] ? Number(match[4]) : 1;
+        if (from < min || to > max || from > to || step === 0) {
+            throw new ValidationError(`Invalid ${name} in schedule: ${part} (${min}-${max})`);
+        }
+        for (let value = from; value <= to; value += step) {
+            values.add(value);
+        }
+    }
+    return values;
+}
+
+/**
+ * Parse a cron expression such as "0 8 * * 1" (Mondays at 08:00). As in cron, when both the
+ * day of month and the day of week are restricted, a day matching either runs.
+ * @param {string} expression
+ * @returns {object} schedule for nextRun()
+ * @throws {ValidationError}
+ */
+function parseCron(expression) {
+    const fields = typeof expression === 'string' ? expression.trim().split(/\s+/) : [];
+    if (fields.length !== FIELDS.length) {
+        throw new ValidationError('schedule must be a cron expression with 5 fields, e.g. "0 8 * * 1"');
+    }
+    const [minutes, hours, daysOfMonth, months, daysOfWeek] = fields.map((field, index) => parseField(field, FIELDS[index]));
+    if (daysOfWeek.has(7)) {
+        daysOfWeek.add(0);
+    }
+    return {
+        minutes: [...minutes].sort((a, b) => a - b),
+        hours: [...hours].sort((a, b) => a - b),
+        daysOfMonth,
+        months,
+        daysOfWeek,
+        anyDayOfMonth: fields[2] === '*',
+        anyDayOfWeek: fields[4] === '*'
+    };
+}
+
+function matchesDay(schedule, date) {
+    if (!schedule.months.has(date.getUTCMonth() + 1)) {
+        return false;
+    }
+    const dayOfMonth = schedule.daysOfMonth.has(date.getUTCDate());
+    const dayOfWeek = schedule.daysOfWeek.has(date.getUTCDay());
+    if (schedule.anyDayOfMonth || schedule.anyDayOfWeek) {
+        return dayOfMonth && dayOfWeek;
+    }
+    return dayOfMonth || dayOfWeek;
+}
+
+/**
+ * The first time after `after` that a schedule runs, in wall-clock time of a timezone.
+ * @param {object} schedule from parseCron()
+ * @param {Date} after
+ * @param {string} timezone IANA name
+ * @returns {Date|null} null if the schedule never runs (e.g. 31 February)
+ */
+function nextRun(schedule, after, timezone) {
+    const { year, month, day } = getWallClock(timezone, after);
+    const firstDay = Date.UTC(year, month - 1, day);
+    for (let index = 0; index < MAX_SEARCH_DAYS; index++) {
+        const date = new Date(firstDay + index * DAY_MS);
+        if (!matchesDay(schedule, date)) {
+            continue;
+        }
+        for (const hour of schedule.hours) {
+            for (const minute of schedule.minutes) {
+                const run = zonedTimeToUtc(date.getUTCFullYear(), date.getUTCMonth() + 1, date.getUTCDate(), hour, minute, 0, timezone);
+                if (run > after) {
+                    return run;
+                }
+            }
+        }
+    }
+    return null;
+}
+
+module.exports = { parseCron, nextRun };
@@ -0,0 +1,371 @@
+/**
+ * Email reports
+ * Report subscriptions: a site's metrics, top pages and top sources over a period, rendered
+ * as HTML and plain-text email and sent on a cron schedule
+ */
+
+const { ValidationError } = require('./errors');
+const { parseCron, nextRun } = require('./cron');
+const { toSqliteDateTime } = require('./query');
+
+// Periods a report can cover; each is compared with the one before it
+const REPORT_PERIODS = ['24h', '7d', '30d', '90d'];
+const DEFAULT_SCHEDULE = '0 8 * * 1';
+const MAX_RECIPIENTS = 20;
+const EMAIL_PATTERN = /^[^\s@<>,;"]+@[^\s@<>,;"]+\.[^\s@<>,;"]+$/;
+
+// Metrics shown at the top of a report, in order
+const REPORT_METRICS = [
+    { key: 'totalVisitors', label: 'Visitors', format: 'count' },
+    { key: 'totalPageViews', label: 'Page views', format: 'count' },
+    { key: 'totalSessions', label: 'Sessions', format: 'count' },
+    { key: 'bounceRate', label: 'Bounce rate', format: 'percent', lowerIsBetter: true },
+    { key: 'avgSessionDuration', label: 'Avg. session', format: 'duration' },
+    { key: 'avgPagesPerSession', label: 'Pages / session', format: 'decimal' }
+];
+
+function toSubscription(row) {
+    return {
+        id: row.id,
+        siteId: row.site_id,
+        name: row.name,
+        recipients: row.recipients.split(','),
+        schedule: row.schedule,
+        period: row.period,
+        enabled: row.enabled === 1,
+        lastSentAt: row.last_sent_at,
+        nextRunAt: row.next_run_at,
+        created_at: row.created_at
+    };
+}
+
+// Validate a complete subscription definition
+function validateSubscription(fields) {
+    if (typeof fields.name !== 'string' || fields.name.trim() === '') {
+        throw new ValidationError('name is required');
+    }
+    const recipients = fields.recipients;
+    if (!Array.isArray(recipients) || recipients.length === 0 || recipients.length > MAX_RECIPIENTS) {
+        throw new ValidationError(`recipients must be an array of 1 to ${MAX_RECIPIENTS} email addresses`);
+    }
+    for (const recipient of recipients) {
+        if (typeof recipient !== 'string' || !EMAIL_PATTERN.test(recipient.trim())) {
+            throw new ValidationError(`Invalid email address: ${recipient}`);
+        }
+    }
+    const subscription = {
+        name: fields.name.trim(),
+        recipients: [...new Set(recipients.map(recipient => recipient.trim()))],
+        schedule: fields.schedule ?? DEFAULT_SCHEDULE,
+        period: fields.period ?? '7d',
+        enabled: fields.enabled ?? true
+    };
+    parseCron(subscription.schedule);
+    if (!REPORT_PERIODS.includes(subscription.period)) {
+        throw new ValidationError(`period must be one of: ${REPORT_PERIODS.join(', ')}`);
+    }
+    if (typeof subscription.enabled !== 'boolean') {
+        throw new ValidationError('enabled must be true or false');
+    }
+    return subscription;
+}
+
+function escapeHtml(value) {
+    return String(value).replace(/[&<>"']/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[char]);
+}
+
+function formatValue(value, format) {
+    if (value === null || value === undefined) {
+        return '-';
+    }
+    if (format === 'percent') {
+        return `${value.toFixed(1)}%`;
+    }
+    if (format === 'duration') {
+        const seconds = Math.round(value);
+        return seconds >= 60 ? `${Math.floor(seconds / 60)}m ${seconds % 60}s` : `${seconds}s`;
+    }
+    if (format === 'decimal') {
+        return value.toFixed(1);
+    }
+    return Math.round(value).toLocaleString('en-US');
+}
+
+// "+12.5%" / "-3.0%", or "new" when there was nothing before
+function formatChange(change, previous) {
+    if (change === null || change === undefined) {
+        return previous ? '-' : 'new';
+    }
+    return `${change >= 0 ? '+' : ''}${change.toFixed(1)}%`;
+}
+
+function changeColor(change, lowerIsBetter) {
+    if (!change) {
+        return '#6b7280';
+    }
+    return (change > 0) !== Boolean(lowerIsBetter) ? '#15803d' : '#b91c1c';
+}
+
+function formatDate(date, timezone) {
+    return date.toLocaleDateString('en-GB', { timeZone: timezone, day: 'numeric', month: 'short', year: 'numeric' });
+}
+
+// Top rows of a list report as { label, value, change, previous }
+function toListRows(rows, labelColumn, valueColumn) {
+    return rows.map(row => ({
+        label: row[labelColumn] ?? '(none)',
+        value: row[valueColumn],
+        previous: row[`previous_${valueColumn}`],
+        change: row[`${valueColumn}_change`]
+    }));
+}
+
+/**
+ * Render a report as an email.
+ * @param {{ domain: string, name: string|null, timezone: string }} site
+ * @param {{ name: string, period: string }} subscription
+ * @param {{ start: Date, end: Date, previousStart: Date, previousEnd: Date, metrics: object,
+ *           compared: object, topPages: object[], topSources: object[] }} digest compared is
+ *        compareMetrics() of the metrics; topPages and topSources carry previous_* and *_change
+ *        columns
+ * @returns {{ subject: string, html: string, text: string }}
+ */
+function renderReport(site, subscription, digest) {
+    const siteName = site.name || site.domain;
+    const range = `${formatDate(digest.start, site.timezone)} - ${formatDate(digest.end, site.timezone)}`;
+    const previousRange = `${formatDate(digest.previousStart, site.timezone)} - ${formatDate(digest.previousEnd, site.timezone)}`;
+    const subject = `${siteName}: ${subscription.name} (${range})`;
+
+    const metrics = REPORT_METRICS.map(metric => {
+        const { previous, change } = digest.compared[metric.key];
+        return {
+            ...metric,
+            value: formatValue(digest.metrics[metric.key], metric.format),
+            change,
+            changeText: formatChange(change, previous)
+        };
+    });
+    const lists = [
+        { title: 'Top pages', column: 'Views', rows: toListRows(digest.topPages, 'page_path', 'views') },
+        { title: 'Top sources', column: 'Sessions', rows: toListRows(digest.topSources, 'source', 'sessions') }
+    ];
+
+    const text = [
+        subject,
+        `Compared with ${previousRange}`,
+        '',
+        ...metrics.map(metric => `${metric.label}: ${metric.value} (${metric.changeText})`),
+        ...lists.flatMap(list => [
+            '',
+            `${list.title} (${list.column.toLowerCase()})`,
+            ...(list.rows.length
+                ? list.rows.map((row, index) => `${index + 1}. ${row.label}: ${formatValue(row.value, 'count')} (${formatChange(row.change, row.previous)})`)
+                : ['No data'])
+        ])
+    ].join('\n');
+
+    const cell = 'padding:6px 8px;border-bottom:1px solid #e5e7eb;';
+    const html = `<!DOCTYPE html>
+<html>
+<head><meta charset="utf-8"><title>${escapeHtml(subject)}</title></head>
+<body style="margin:0;padding:24px;background:#f3f4f6;font-family:Helvetica,Arial,sans-serif;color:#111827;">
+<table role="presentation" width="100%" style="max-width:600px;margin:0 auto;background:#ffffff;border-radius:8px;padding:24px;">
+<tr><td>
+<h1 style="font-size:20px;margin:0 0 4px;">${escapeHtml(siteName)}: ${escapeHtml(subscription.name)}</h1>
+<p style="margin:0 0 20px;color:#6b7280;font-size:14px;">${escapeHtml(range)}, compared with ${escapeHtml(previousRange)}</p>
+<table role="presentation" width="100%" style="border-collapse:collapse;margin-bottom:24px;">
+<tr>${metrics.map(metric => `
+<td style="padding:8px;text-align:center;vertical-align:top;">
+<div style="font-size:12px;color:#6b7280;">${escapeHtml(metric.label)}</div>
+<div style="font-size:20px;font-weight:bold;margin:4px 0;">${escapeHtml(metric.value)}</div>
+<div style="font-size:12px;color:${changeColor(metric.change, metric.lowerIsBetter)};">${escapeHtml(metric.changeText)}</div>
+</td>`).join('')}
+</tr>
+</table>${lists.map(list => `
+<h2 style="font-size:16px;margin:0 0 8px;">${escapeHtml(list.title)}</h2>
+<table role="presentation" width="100%" style="border-collapse:collapse;font-size:14px;margin-bottom:24px;">
+<tr><th style="${cell}text-align:left;"></th><th style="${cell}text-align:right;">${escapeHtml(list.column)}</th><th style="${cell}text-align:right;">Change</th></tr>${list.rows.length ? list.rows.map(row => `
+<tr><td style="${cell}word-break:break-all;">${escapeHtml(row.label)}</td><td style="${cell}text-align:right;">${escapeHtml(formatValue(row.value, 'count'))}</td><td style="${cell}text-align:right;color:${changeColor(row.change)};">${escapeHtml(formatChange(row.change, row.previous))}</td></tr>`).join('') : `
+<tr><td colspan="3" style="${cell}color:#6b7280;">No data</td></tr>`}
+</table>`).join('')}
+</td></tr>
+</table>
+</body>
+</html>
+`;
+
+    return { subject, html, text };
+}
+
+/**
+ * Report subscriptions backed by the report_subscriptions and report_deliveries tables.
+ * @param {import('better-sqlite3').Database} db
+ * @param {{ sites: object, getDigest: Function, transport: object|null, from: string }} options
+ *        getDigest(site, period) returns the digest renderReport() takes; transport is a
+ *        nodemailer transport, or null when SMTP isn't configured
+ */
+function createEmailReports(db, { sites, getDigest, transport, from }) {
+    // Subscriptions of one site, or of every site when siteId is null
+    function list(siteId = null) {
+        const rows = siteId
+            ? db.prepare('SELECT * FROM report_subscriptions WHERE site_id = ? ORDER BY id').all(siteId)
+            : db.prepare('SELECT * FROM report_subscriptions ORDER BY id').all();
+        return rows.map(toSubscription);
+    }
+
+    function get(id) {
+        const row = db.prepare('SELECT * FROM report_subscriptions WHERE id = ?').get(id);
+        return row ? toSubscription(row) : null;
+    }
+
+    // Next run in the site's timezone, or null for a disabled subscription
+    function getNextRun(subscription, site, after = new Date()) {
+        if (!subscription.enabled) {
+            return null;
+        }
+        const next = nextRun(parseCron(subscription.schedule), after, site.timezone);
+        if (!next) {
+            throw new ValidationError(`schedule never runs: ${subscription.schedule}`);
+        }
+        return toSqliteDateTime(next);
+    }
+
+    function save(subscription, siteId, id) {
+        const nextRunAt = getNextRun(subscription, sites.get(siteId));
+        const values = [
+            subscription.name,
+            subscription.recipients.join(','),
+            subscription.schedule,
+            subscription.period,
+            subscription.enabled ? 1 : 0,
+            nextRunAt
+        ];
+        if (id === undefined) {
+            return db.prepare(`
+                INSERT INTO report_subscriptions (name, recipients, schedule, period, enabled, next_run_at, site_id, created_at)
+                VALUES (?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
+            `).run(...values, siteId).lastInsertRowid;
+        }
+        db.prepare(`
+            UPDATE report_subscriptions SET name = ?, recipients = ?, schedule = ?, period = ?, enabled = ?, next_run_at = ?
+            WHERE id = ?
+        `).run(...values, id);
+        return id;
+    }
+
+    /**
+     * Subscribe to a site's reports.
+     * @param {number} siteId
+     * @param {object} fields name, recipients, schedule, period, enabled
+     * @returns {object}
+     */
+    function create(siteId, fields) {
+        return get(save(validateSubscription(fields), siteId));
+    }
+
+    // Fields not given keep their current value. Returns null if there is no such subscription.
+    function update(id, fields) {
+        const existing = get(id);
+        if (!existing) {
+            return null;
+        }
+        return get(save(validateSubscription({ ...existing, ...fields }), existing.siteId, existing.id));
+    }
+
+    // Returns false if there is no such subscription
+    function remove(id) {
+        return db.transaction(() => {
+            db.prepare('DELETE FROM report_deliveries WHERE subscription_id = ?').run(id);
+            return db.prepare('DELETE FROM report_subscriptions WHERE id = ?').run(id).changes > 0;
+        })();
+    }
+
+    /**
+     * Render a subscription's report over its period ending now.
+     * @param {object} subscription
+     * @returns {{ subject: string, html: string, text: string, digest: object }}
+     */
+    function render(subscription) {
+        const site = sites.get(subscription.siteId);
+        const digest = getDigest(site, subscription.period);
+        return { ...renderReport(site, subscription, digest), digest };
+    }
+
+    /**
+     * Render and send a report now. Failures are recorded rather than thrown.
+     * @param {object} subscription
+     * @returns {Promise<object|null>} the delivery; null if the subscription was deleted
+     *          while the report was being sent
+     */
+    async function send(subscription) {
+        let subject = null;
+        let periodStart = null;
+        let periodEnd = null;
+        let messageId = null;
+        let error = null;
+        try {
+            const report = render(subscription);
+            subject = report.subject;
+            periodStart = toSqliteDateTime(report.digest.start);
+            periodEnd = toSqliteDateTime(report.digest.end);
+            if (!transport) {
+                throw new Error('SMTP is not configured (SMTP_URL)');
+            }
+            const info = await transport.sendMail({
+                from,
+                to: subscription.recipients,
+                subject: report.subject,
+                text: report.text,
+                html: report.html
+            });
+            messageId = info.messageId || null;
+        } catch (err) {
+            error = err.message;
+            console.error(`Email report ${subscription.id} error:`, err);
+        }
+
+        const result = db.prepare(`
+            INSERT INTO report_deliveries (subscription_id, recipients, subject, period_start, period_end, status,
+                                           error, message_id, created_at)
+            SELECT ?, ?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP
+            WHERE EXISTS (SELECT 1 FROM report_subscriptions WHERE id = ?)
+        `).run(subscription.id, subscription.recipients.join(','), subject, periodStart, periodEnd,
+            error ? 'failed' : 'sent', error, messageId, subscription.id);
+        if (result.changes === 0) {
+            return null;
+        }
+        if (!error) {
+            db.prepare('UPDATE report_subscriptions SET last_sent_at = CURRENT_TIMESTAMP WHERE id = ?').run(subscription.id);
+        }
+        return db.prepare('SELECT * FROM report_deliveries WHERE id = ?').get(result.lastInsertRowid);
+    }
+
+    // Send the reports that are due. Each is rescheduled before it is sent, so a failing
+    // report is retried at its next scheduled time rather than every minute.
+    function runDue() {
+        const due = db.prepare(`
+            SELECT * FROM report_subscriptions WHERE enabled = 1 AND next_run_at <= ? ORDER BY next_run_at
+        `).all(toSqliteDateTime(new Date())).map(toSubscription);
+        for (const subscription of due) {
+            try {
+                const nextRunAt = getNextRun(subscription, sites.get(subscription.siteId));
+                db.prepare('UPDATE report_subscriptions SET next_run_at = ? WHERE id = ?').run(nextRunAt, subscription.id);
+            } catch (err) {
+                console.error(`Email report ${subscription.id} schedule error:`, err);
+                continue;
+            }
+            send(subscription).catch(err => console.error(`Email report ${subscription.id} error:`, err));
+        }
+    }
+
+    // Latest deliveries of a subscription, newest first
+    function listDeliveries(subscriptionId, limit) {
+        return db.prepare(`
+            SELECT * FROM report_deliveries WHERE subscription_id = ? ORDER BY id DESC LIMIT ?
+        `).all(subscriptionId, limit);
+    }
+
+    return { list, get, create, update, remove, render, send, runDue, listDeliveries };
+}
+
+module.exports = { REPORT_PERIODS, renderReport, createEmailReports };
@@ -0,0 +1,22 @@
+/**
+ * HTTP errors
+ * Errors carrying the status code they should be sent with
+ */
+
+class HttpError extends Error {
+    constructor(status, message) {
+        super(message);
+        this.name = 'HttpError';
+        this.status = status;
+    }
+}
+
+// Invalid request parameters, sent to the client as a 400
+class ValidationError extends HttpError {
+    constructor(message) {
+        super(400, message);
+        this.name = 'ValidationError';
+    }
+}
+
+module.exports = { HttpError, ValidationError };
@@ -0,0 +1,126 @@
+/**
+ * Export
+ * Writes rows as CSV, JSON or NDJSON downloads. Large exports are read page by page and
+ * streamed, so a table never has to fit in memory.
+ */
+
+const { ValidationError } = require('./errors');
+
+const EXPORT_FORMATS = {
+    csv: 'text/csv; charset=utf-8',
+    json: 'application/json; charset=utf-8',
+    ndjson: 'application/x-ndjson; charset=utf-8'
+};
+
+/**
+ * Validate a format parameter.
+ * @param {string|undefined} value
+ * @returns {string} csv, json or ndjson (default json)
+ * @throws {ValidationError}
+ */
+function parseFormat(value) {
+    if (value === undefined) {
+        return 'json';
+    }
+    if (!Object.prototype.hasOwnProperty.call(EXPORT_FORMATS, value)) {
+        throw new ValidationError(`format must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}`);
+    }
+    return value;
+}
+
+// RFC 4180 field. Text starting with = + - @ is prefixed with ' so spreadsheets don't run
+// tracked values (page paths, event properties) as formulas.
+function csvField(value) {
+    if (value === null || value === undefined) {
+        return '';
+    }
+    let text = String(value);
+    if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+        text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function csvRow(values) {
+    return `${values.map(csvField).join(',')}\r\n`;
+}
+
+function formatRows(rows, format, columns, first) {
+    if (format === 'csv') {
+        return rows.map(row => csvRow(columns.map(column => row[column]))).join('');
+    }
+    if (format === 'ndjson') {
+        return rows.map(row => `${JSON.stringify(row)}\n`).join('');
+    }
+    return rows.map((row, index) => `${first && index === 0 ? '' : ','}\n${JSON.stringify(row)}`).join('');
+}
+
+function setDownloadHeaders(res, format, filename) {
+    res.set({
+        'Content-Type': EXPORT_FORMATS[format],
+        'Content-Disposition': `attachment; filename="${filename}.${format}"`
+    });
+}
+
+/**
+ * Send rows that are already in memory, such as a report, as a download.
+ * @param {import('express').Response} res
+ * @param {object[]} rows
+ * @param {{ format: string, filename: string, columns?: string[] }} options columns default to
+ *        the keys of the first row
+ */
+function sendRows(res, rows, { format, filename, columns = rows.length ? Object.keys(rows[0]) : [] }) {
+    setDownloadHeaders(res, format, filename);
+    if (format === 'json') {
+        return res.send(JSON.stringify(rows));
+    }
+    res.send(`${format === 'csv' ? csvRow(columns) : ''}${formatRows(rows, format, columns, true)}`);
+}
+
+// Resolves once the response can take more data, or the client has gone
+function writable(res) {
+    return new Promise(resolve => {
+        const done = () => {
+            res.off('drain', done);
+            res.off('close', done);
+            resolve();
+        };
+        res.on('drain', done);
+        res.on('close', done);
+    });
+}
+
+/**
+ * Stream rows read one page at a time. fetchPage(last) returns the rows after `last`, the last
+ * row of the previous page (null for the first page); an empty page ends the export. No
+ * statement stays open while waiting for a slow client, so ingest writes carry on.
+ * @param {import('express').Response} res
+ * @param {{ format: string, filename: string, columns: string[], fetchPage: Function }} options
+ * @returns {Promise<void>}
+ */
+async function streamRows(res, { format, filename, columns, fetchPage }) {
+    setDownloadHeaders(res, format, filename);
+    res.write(format === 'csv' ? csvRow(columns) : format === 'json' ? '[' : '');
+
+    let last = null;
+    let first = true;
+    for (;;) {
+        const rows = fetchPage(last);
+        if (rows.length === 0) {
+            break;
+        }
+        const more = res.write(formatRows(rows, format, columns, first));
+        last = rows[rows.length - 1];
+        first = false;
+        if (!more && !res.destroyed) {
+            await writable(res);
+        }
+        if (res.destroyed) {
+            return;
+        }
+    }
+
+    res.end(format === 'json' ? '\n]\n' : '');
+}
+
+module.exports = { EXPORT_FORMATS, parseFormat, sendRows, streamRows };
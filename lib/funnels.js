@@ -0,0 +1,301 @@
+/**
+ * Funnels
+ * Ordered page/event steps, walked through each session's (or visitor's) history
+ */
+
+const { ValidationError } = require('./errors');
+
+const STEP_TYPES = ['page', 'event'];
+// loose: other page views may happen between steps; strict: each step must be the next page view
+const STEP_ORDERS = ['loose', 'strict'];
+const COUNT_BY = ['sessions', 'visitors'];
+const MIN_STEPS = 2;
+const MAX_STEPS = 10;
+
+const WINDOW_PATTERN = /^(\d+)(s|m|h|d)$/;
+const WINDOW_UNITS = { s: 1, m: 60, h: 60 * 60, d: 24 * 60 * 60 };
+
+// Conversion window such as "30m", "2h" or "7d", in seconds
+function parseWindow(value) {
+    const match = typeof value === 'string' ? value.match(WINDOW_PATTERN) : null;
+    if (!match || Number(match[1]) === 0) {
+        throw new ValidationError('window must be a duration such as 30m, 2h or 7d');
+    }
+    return Number(match[1]) * WINDOW_UNITS[match[2]];
+}
+
+/**
+ * Parse a steps parameter such as "page:/pricing;page:/signup;event:signup_complete".
+ * Steps are separated by ";" (escape a literal one as "\;").
+ * @param {string|string[]|undefined} value
+ * @returns {{ type: string, value: string }[]}
+ * @throws {ValidationError}
+ */
+function parseSteps(value) {
+    const values = Array.isArray(value) ? value : [value];
+    if (value === undefined || values.some(item => typeof item !== 'string')) {
+        throw new ValidationError('steps must be a string like "page:/pricing;event:signup"');
+    }
+    return values
+        .flatMap(item => item.split(/(?<!\\);/))
+        .map(step => step.trim())
+        .filter(step => step !== '')
+        .map(step => {
+            const separator = step.indexOf(':');
+            return {
+                type: separator > 0 ? step.slice(0, separator) : '',
+                value: step.slice(separator + 1).replace(/\\;/g, ';')
+            };
+        });
+}
+
+/**
+ * Validate a funnel definition.
+ * @param {{ steps: object[], order?: string, window?: string|null, countBy?: string }} fields
+ * @returns {{ steps: { type: string, value: string }[], order: string, window: string|null, countBy: string }}
+ * @throws {ValidationError}
+ */
+function validateFunnel(fields) {
+    const { steps, order = 'loose', window = null, countBy = 'sessions' } = fields;
+    if (!Array.isArray(steps) || steps.length < MIN_STEPS || steps.length > MAX_STEPS) {
+        throw new ValidationError(`A funnel needs between ${MIN_STEPS} and ${MAX_STEPS} steps`);
+    }
+    steps.forEach((step, index) => {
+        if (!step || !STEP_TYPES.includes(step.type)) {
+            throw new ValidationError(`Step ${index + 1} must have a type of: ${STEP_TYPES.join(', ')}`);
+        }
+        if (typeof step.value !== 'string' || step.value.trim() === '') {
+            throw new ValidationError(`Step ${index + 1} needs a page path or event name`);
+        }
+    });
+    if (!STEP_ORDERS.includes(order)) {
+        throw new ValidationError(`order must be one of: ${STEP_ORDERS.join(', ')}`);
+    }
+    if (!COUNT_BY.includes(countBy)) {
+        throw new ValidationError(`countBy must be one of: ${COUNT_BY.join(', ')}`);
+    }
+    if (window !== null) {
+        parseWindow(window);
+    }
+    return {
+        steps: steps.map(step => ({ type: step.type, value: step.value.trim() })),
+        order,
+        window,
+        countBy
+    };
+}
+
+// Page steps match a path, where * matches any characters; event steps match an event name
+function stepMatcher(step) {
+    if (step.type === 'event') {
+        return hit => hit.type === 'event' && hit.value === step.value;
+    }
+    const pattern = new RegExp(`^${step.value.split('*').map(part => part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('.*')}$`);
+    return hit => hit.type === 'page' && pattern.test(hit.value);
+}
+
+/**
+ * Walk one session's or visitor's history through the steps. Every occurrence of the
+ * first step is tried as a start, and the attempt reaching the furthest step wins.
+ * @param {{ type: string, value: string, time: number }[]} history hits in order
+ * @param {Function[]} matchers one per step
+ * @param {string} order loose or strict
+ * @param {number|null} windowMs maximum time from the first to the last step
+ * @returns {number[]} time each step was reached, up to the last step reached
+ */
+function walkFunnel(history, matchers, order, windowMs) {
+    let best = [];
+
+    history.forEach((hit, startIndex) => {
+        if (!matchers[0](hit)) {
+            return;
+        }
+        const times = [hit.time];
+        for (let index = startIndex + 1; index < history.length && times.length < matchers.length; index++) {
+            const next = history[index];
+            if (windowMs !== null && next.time - hit.time > windowMs) {
+                break;
+            }
+            if (matchers[times.length](next)) {
+                times.push(next.time);
+            } else if (order === 'strict' && next.type === 'page') {
+                break;
+            }
+        }
+        if (times.length > best.length) {
+            best = times;
+        }
+    });
+
+    return best;
+}
+
+function median(values) {
+    if (values.length === 0) {
+        return null;
+    }
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+// SQLite CURRENT_TIMESTAMP values are UTC
+function toTime(value) {
+    return Date.parse(`${value.replace(' ', 'T')}Z`);
+}
+
+/**
+ * Run a funnel over the sessions in a report's range. Sessions are selected with the
+ * report's site, period, bot and dimension filters; with countBy=visitors, a visitor's
+ * sessions in the range are walked as one history.
+ * @param {import('better-sqlite3').Database} db
+ * @param {object} funnel validated funnel definition
+ * @param {import('./query').StatsQuery} statsQuery
+ * @returns {object} per-step counts, drop-off and median time from the previous step
+ */
+function analyzeFunnel(db, funnel, statsQuery) {
+    const matchers = funnel.steps.map(stepMatcher);
+    const windowMs = funnel.window ? parseWindow(funnel.window) * 1000 : null;
+    const unit = funnel.countBy === 'visitors' ? 'visitor_id' : 'session_id';
+    const eventNames = funnel.steps.filter(step => step.type === 'event').map(step => step.value);
+
+    const reached = funnel.steps.map(() => 0);
+    const stepDurations = funnel.steps.map(() => []);
+
+    // Page views are all needed for strict order; events only when they are a step
+    const history = db.prepare(`
+        SELECT ${unit} as unit, 'page' as type, page_path as value, viewed_at as at, 0 as kind, id
+        FROM page_views
+        WHERE session_id IN (SELECT s.session_id FROM sessions s WHERE 1=1 ${statsQuery.where('sessions', { alias: 's' })})
+        UNION ALL
+        SELECT ${unit} as unit, 'event' as type, event_name as value, created_at as at, 1 as kind, id
+        FROM events
+        WHERE event_name IN (SELECT value FROM json_each(@eventNames))
+        AND session_id IN (SELECT s.session_id FROM sessions s WHERE 1=1 ${statsQuery.where('sessions', { alias: 's' })})
+        ORDER BY unit, at, kind, id
+    `);
+
+    function walk(hits) {
+        const times = walkFunnel(hits, matchers, funnel.order, windowMs);
+        times.forEach((time, index) => {
+            reached[index]++;
+            if (index > 0) {
+                stepDurations[index].push((time - times[index - 1]) / 1000);
+            }
+        });
+    }
+
+    // Rows arrive grouped by unit, so only one history is held at a time
+    let currentUnit = null;
+    let hits = [];
+    for (const row of history.iterate({ ...statsQuery.params, eventNames: JSON.stringify(eventNames) })) {
+        if (row.unit !== currentUnit) {
+            walk(hits);
+            currentUnit = row.unit;
+            hits = [];
+        }
+        hits.push({ type: row.type, value: row.value, time: toTime(row.at) });
+    }
+    walk(hits);
+
+    const entered = reached[0];
+    return {
+        ...funnel,
+        steps: funnel.steps.map((step, index) => {
+            const previous = index === 0 ? entered : reached[index - 1];
+            return {
+                ...step,
+                count: reached[index],
+                dropOff: previous - reached[index],
+                dropOffRate: previous ? (previous - reached[index]) * 100.0 / previous : 0,
+                conversionRate: entered ? reached[index] * 100.0 / entered : 0,
+                medianSecondsFromPrevious: index === 0 ? null : median(stepDurations[index])
+            };
+        }),
+        conversionRate: entered ? reached[reached.length - 1] * 100.0 / entered : 0
+    };
+}
+
+function toFunnel(row) {
+    return {
+        id: row.id,
+        siteId: row.site_id,
+        name: row.name,
+        steps: JSON.parse(row.steps),
+        order: row.step_order,
+        window: row.conversion_window,
+        countBy: row.count_by,
+        created_at: row.created_at
+    };
+}
+
+/**
+ * Saved funnels backed by the funnels table. Names are unique per site.
+ * @param {import('better-sqlite3').Database} db
+ */
+function createFunnelStore(db) {
+    // Funnels of one site, or of every site when siteId is null
+    function list(siteId = null) {
+        const rows = siteId
+            ? db.prepare('SELECT * FROM funnels WHERE site_id = ? ORDER BY name').all(siteId)
+            : db.prepare('SELECT * FROM funnels ORDER BY site_id, name').all();
+        return rows.map(toFunnel);
+    }
+
+    function get(id) {
+        const row = db.prepare('SELECT * FROM funnels WHERE id = ?').get(id);
+        return row ? toFunnel(row) : null;
+    }
+
+    function validateName(name, siteId, id = null) {
+        if (typeof name !== 'string' || name.trim() === '') {
+            throw new ValidationError('name is required');
+        }
+        const conflict = db.prepare('SELECT id FROM funnels WHERE site_id = ? AND name = ?').get(siteId, name.trim());
+        if (conflict && conflict.id !== id) {
+            throw new ValidationError(`A funnel named "${name.trim()}" already exists`);
+        }
+        return name.trim();
+    }
+
+    /**
+     * Save a funnel for a site.
+     * @param {number} siteId
+     * @param {object} fields name, steps, order, window, countBy
+     * @returns {object}
+     */
+    function create(siteId, fields) {
+        const name = validateName(fields.name, siteId);
+        const funnel = validateFunnel(fields);
+        const result = db.prepare(`
+            INSERT INTO funnels (site_id, name, steps, step_order, conversion_window, count_by, created_at)
+            VALUES (?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
+        `).run(siteId, name, JSON.stringify(funnel.steps), funnel.order, funnel.window, funnel.countBy);
+        return get(result.lastInsertRowid);
+    }
+
+    // Fields not given keep their current value. Returns null if there is no such funnel.
+    function update(id, fields) {
+        const existing = get(id);
+        if (!existing) {
+            return null;
+        }
+        const merged = { ...existing, ...fields };
+        const name = validateName(merged.name, existing.siteId, existing.id);
+        const funnel = validateFunnel(merged);
+        db.prepare(`
+            UPDATE funnels SET name = ?, steps = ?, step_order = ?, conversion_window = ?, count_by = ?
+            WHERE id = ?
+        `).run(name, JSON.stringify(funnel.steps), funnel.order, funnel.window, funnel.countBy, existing.id);
+        return get(existing.id);
+    }
+
+    // Returns false if there is no such funnel
+    function remove(id) {
+        return db.prepare('DELETE FROM funnels WHERE id = ?').run(id).changes > 0;
+    }
+
+    return { list, get, create, update, remove };
+}
+
+module.exports = { parseSteps, validateFunnel, analyzeFunnel, createFunnelStore };
@@ -0,0 +1,249 @@
+/**
+ * Goals
+ * Conversion goals per site and the SQL that counts their completions in a session
+ */
+
+const { ValidationError } = require('./errors');
+const { referrerSource } = require('./query');
+
+// page: a page view matching a path pattern; event: a custom event, optionally with
+// property values; engagement: a minimum session duration and/or page count
+const GOAL_TYPES = ['page', 'event', 'engagement'];
+
+// Session-level dimensions conversion reports break down by. Same definitions as the
+// referrers, utmSources and entryPages reports; device is the visitor's latest device type.
+const GOAL_BREAKDOWNS = {
+    sources: referrerSource('s.referrer_domain'),
+    campaigns: `COALESCE(s.utm_campaign, 'none')`,
+    entryPages: `COALESCE(s.landing_page, (
+                    SELECT page_path FROM page_views ep
+                    WHERE ep.session_id = s.session_id
+                    ORDER BY ep.viewed_at, ep.id
+                    LIMIT 1
+                ))`,
+    devices: `COALESCE((
+                    SELECT device_type FROM visitor_details d
+                    WHERE d.visitor_id = s.visitor_id
+                ), 'unknown')`
+};
+
+const PROPERTY_KEY_PATTERN = /^[A-Za-z0-9_.-]{1,100}$/;
+
+function toGoal(row) {
+    return {
+        id: row.id,
+        siteId: row.site_id,
+        name: row.name,
+        type: row.type,
+        pagePattern: row.page_pattern,
+        eventName: row.event_name,
+        eventProperties: row.event_properties ? JSON.parse(row.event_properties) : null,
+        minDuration: row.min_duration,
+        minPageViews: row.min_page_views,
+        created_at: row.created_at
+    };
+}
+
+function isPresent(value) {
+    return value !== undefined && value !== null;
+}
+
+function validateCount(value, name) {
+    if (!Number.isInteger(value) || value < 0) {
+        throw new ValidationError(`${name} must be a non-negative integer`);
+    }
+    return value;
+}
+
+// Validate a complete goal definition. Fields that don't apply to the type are dropped.
+function validateGoal(fields) {
+    if (typeof fields.name !== 'string' || fields.name.trim() === '') {
+        throw new ValidationError('name is required');
+    }
+    if (!GOAL_TYPES.includes(fields.type)) {
+        throw new ValidationError(`type must be one of: ${GOAL_TYPES.join(', ')}`);
+    }
+    const goal = {
+        name: fields.name.trim(),
+        type: fields.type,
+        pagePattern: null,
+        eventName: null,
+        eventProperties: null,
+        minDuration: null,
+        minPageViews: null
+    };
+
+    if (goal.type === 'page') {
+        if (typeof fields.pagePattern !== 'string' || fields.pagePattern.trim() === '') {
+            throw new ValidationError('pagePattern is required for page goals, e.g. "/thank-you" or "/blog/*"');
+        }
+        goal.pagePattern = fields.pagePattern.trim();
+    }
+
+    if (goal.type === 'event') {
+        if (typeof fields.eventName !== 'string' || fields.eventName.trim() === '') {
+            throw new ValidationError('eventName is required for event goals');
+        }
+        goal.eventName = fields.eventName.trim();
+        if (isPresent(fields.eventProperties)) {
+            const properties = fields.eventProperties;
+            if (typeof properties !== 'object' || Array.isArray(properties)) {
+                throw new ValidationError('eventProperties must be an object of property values');
+            }
+            for (const [key, value] of Object.entries(properties)) {
+                if (!PROPERTY_KEY_PATTERN.test(key)) {
+                    throw new ValidationError(`Invalid event property name: ${key}`);
+                }
+                if (!['string', 'number', 'boolean'].includes(typeof value)) {
+                    throw new ValidationError(`eventProperties.${key} must be a string, number or boolean`);
+                }
+            }
+            goal.eventProperties = Object.keys(properties).length > 0 ? properties : null;
+        }
+    }
+
+    if (goal.type === 'engagement') {
+        if (isPresent(fields.minDuration)) {
+            goal.minDuration = validateCount(fields.minDuration, 'minDuration');
+        }
+        if (isPresent(fields.minPageViews)) {
+            goal.minPageViews = validateCount(fields.minPageViews, 'minPageViews');
+        }
+        if (goal.minDuration === null && goal.minPageViews === null) {
+            throw new ValidationError('Engagement goals need minDuration (seconds) and/or minPageViews');
+        }
+    }
+
+    return goal;
+}
+
+// "/blog/*" -> LIKE pattern "/blog/%", with LIKE wildcards in the path itself escaped
+function toLikePattern(pattern) {
+    return pattern.replace(/[\\%_]/g, '\\$&').replace(/\*/g, '%');
+}
+
+/**
+ * SQL expression for the number of times a goal was completed in a session, and the
+ * parameters it binds. Page goals count matching page views, event goals matching events,
+ * engagement goals 1 or 0.
+ * @param {object} goal
+ * @param {string} alias alias of the sessions table in the query
+ * @returns {{ sql: string, params: object }}
+ */
+function goalCompletions(goal, alias) {
+    const params = {};
+
+    if (goal.type === 'page') {
+        params.goalPagePattern = toLikePattern(goal.pagePattern);
+        return {
+            sql: `(SELECT COUNT(*) FROM page_views gp
+                    WHERE gp.session_id = ${alias}.session_id AND gp.page_path LIKE @goalPagePattern ESCAPE '\\')`,
+            params
+        };
+    }
+
+    if (goal.type === 'event') {
+        params.goalEventName = goal.eventName;
+        let conditions = '';
+        Object.entries(goal.eventProperties || {}).forEach(([key, value], index) => {
+            params[`goalPropertyPath${index}`] = `$."${key}"`;
+            // json_extract returns JSON booleans as 1/0
+            params[`goalPropertyValue${index}`] = typeof value === 'boolean' ? Number(value) : value;
+            conditions += ` AND json_extract(ge.event_data, @goalPropertyPath${index}) = @goalPropertyValue${index}`;
+        });
+        return {
+            sql: `(SELECT COUNT(*) FROM events ge
+                    WHERE ge.session_id = ${alias}.session_id AND ge.event_name = @goalEventName${conditions})`,
+            params
+        };
+    }
+
+    // Open sessions have no duration yet, so measure them up to their last activity
+    const duration = `COALESCE(${alias}.duration, CAST(ROUND((julianday(COALESCE(${alias}.last_activity_at, ${alias}.started_at)) - julianday(${alias}.started_at)) * 86400) AS INTEGER))`;
+    const conditions = [];
+    if (goal.minDuration !== null) {
+        params.goalMinDuration = goal.minDuration;
+        conditions.push(`${duration} >= @goalMinDuration`);
+    }
+    if (goal.minPageViews !== null) {
+        params.goalMinPageViews = goal.minPageViews;
+        conditions.push(`${alias}.page_views >= @goalMinPageViews`);
+    }
+    return {
+        sql: `(CASE WHEN ${conditions.join(' AND ')} THEN 1 ELSE 0 END)`,
+        params
+    };
+}
+
+/**
+ * Goal store backed by the goals table.
+ * @param {import('better-sqlite3').Database} db
+ */
+function createGoalStore(db) {
+    // Goals of one site, or of every site when siteId is null
+    function list(siteId = null) {
+        const rows = siteId
+            ? db.prepare('SELECT * FROM goals WHERE site_id = ? ORDER BY id').all(siteId)
+            : db.prepare('SELECT * FROM goals ORDER BY id').all();
+        return rows.map(toGoal);
+    }
+
+    function get(id) {
+        const row = db.prepare('SELECT * FROM goals WHERE id = ?').get(id);
+        return row ? toGoal(row) : null;
+    }
+
+    function save(goal, siteId, id) {
+        const values = [
+            siteId,
+            goal.name,
+            goal.type,
+            goal.pagePattern,
+            goal.eventName,
+            goal.eventProperties ? JSON.stringify(goal.eventProperties) : null,
+            goal.minDuration,
+            goal.minPageViews
+        ];
+        if (id === undefined) {
+            return db.prepare(`
+                INSERT INTO goals (site_id, name, type, page_pattern, event_name, event_properties,
+                                   min_duration, min_page_views, created_at)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
+            `).run(...values).lastInsertRowid;
+        }
+        db.prepare(`
+            UPDATE goals SET site_id = ?, name = ?, type = ?, page_pattern = ?, event_name = ?,
+                             event_properties = ?, min_duration = ?, min_page_views = ?
+            WHERE id = ?
+        `).run(...values, id);
+        return id;
+    }
+
+    /**
+     * Create a goal for a site.
+     * @param {number} siteId
+     * @param {object} fields name, type and the type's fields
+     * @returns {object}
+     */
+    function create(siteId, fields) {
+        return get(save(validateGoal(fields), siteId));
+    }
+
+    // Fields not given keep their current value. Returns null if there is no such goal.
+    function update(id, fields) {
+        const existing = get(id);
+        if (!existing) {
+            return null;
+        }
+        return get(save(validateGoal({ ...existing, ...fields }), existing.siteId, existing.id));
+    }
+
+    // Returns false if there is no such goal
+    function remove(id) {
+        return db.prepare('DELETE FROM goals WHERE id = ?').run(id).changes > 0;
+    }
+
+    return { list, get, create, update, remove };
+}
+
+module.exports = { GOAL_TYPES, GOAL_BREAKDOWNS, goalCompletions, createGoalStore };
@@ -0,0 +1,408 @@
+/**
+ * Import formats
+ * Readers for other analytics tools' exports: GA4 BigQuery NDJSON and Matomo visit logs give
+ * visits with their page views, Plausible CSV exports give daily aggregates
+ */
+
+const readline = require('readline');
+const { ValidationError } = require('./errors');
+
+const IMPORT_SOURCES = ['ga4', 'plausible', 'matomo'];
+
+// Values the tools use for "unknown"
+const UNKNOWN_VALUES = ['', '(not set)', '(none)', 'unknown', 'Unknown', 'UNK', 'xx'];
+
+const CAMPAIGN_COLUMNS = ['utm_source', 'utm_medium', 'utm_campaign', 'utm_term', 'utm_content', 'gclid', 'fbclid'];
+
+function clean(value) {
+    if (value === undefined || value === null) {
+        return null;
+    }
+    const text = String(value).trim();
+    return UNKNOWN_VALUES.includes(text) ? null : text;
+}
+
+function parseUrl(value) {
+    try {
+        return value ? new URL(value) : null;
+    } catch (err) {
+        return null;
+    }
+}
+
+// Path of a page URL, or the value itself when it already is a path
+function toPath(value) {
+    if (typeof value === 'string' && value.startsWith('/')) {
+        return value.split(/[?#]/)[0];
+    }
+    return parseUrl(value)?.pathname || '/';
+}
+
+// Referrer and its domain, unless it is the site itself
+function externalReferrer(referrer, pageUrl) {
+    const url = parseUrl(clean(referrer));
+    if (!url || url.hostname === parseUrl(pageUrl)?.hostname) {
+        return { referrer: null, referrerDomain: null };
+    }
+    return { referrer: url.href, referrerDomain: url.hostname };
+}
+
+// Campaign parameters of a landing page URL
+function urlCampaign(pageUrl) {
+    const params = parseUrl(pageUrl)?.searchParams;
+    return Object.fromEntries(CAMPAIGN_COLUMNS.map(column => [column, clean(params?.get(column))]));
+}
+
+// desktop, mobile or tablet, as the tracker's user agent parser reports them
+function toDeviceType(value) {
+    const type = clean(value)?.toLowerCase();
+    if (!type) {
+        return null;
+    }
+    if (['smartphone', 'phablet', 'feature phone', 'mobile'].includes(type)) {
+        return 'mobile';
+    }
+    return type;
+}
+
+// Country codes by English name, for GA4, which exports names. Geolocation stores codes.
+let countryCodes = null;
+
+function toCountryCode(name) {
+    if (!countryCodes) {
+        countryCodes = new Map();
+        const names = new Intl.DisplayNames(['en'], { type: 'region' });
+        const letters = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+        for (const first of letters) {
+            for (const second of letters) {
+                const code = first + second;
+                const countryName = names.of(code);
+                if (countryName !== code && countryName !== 'Unknown Region') {
+                    countryCodes.set(countryName.toLowerCase(), code);
+                }
+            }
+        }
+    }
+    const country = clean(name);
+    return country ? countryCodes.get(country.toLowerCase()) || null : null;
+}
+
+function fromUnixSeconds(value) {
+    const seconds = Number(value);
+    return value && Number.isFinite(seconds) ? new Date(seconds * 1000) : null;
+}
+
+/**
+ * Read CSV records, with quoted fields that may hold commas, quotes and line breaks.
+ * @param {import('stream').Readable} stream
+ * @returns {AsyncGenerator<object>} header -> value
+ */
+async function* readCsv(stream) {
+    let header = null;
+    let record = [];
+    let field = '';
+    let quoted = false;
+    let afterQuote = false;
+    let first = true;
+
+    function* endRecord() {
+        record.push(field);
+        field = '';
+        if (!header) {
+            header = record.map(name => name.trim());
+        } else if (record.length > 1 || record[0] !== '') {
+            yield Object.fromEntries(header.map((name, index) => [name, record[index] ?? '']));
+        }
+        record = [];
+    }
+
+    stream.setEncoding('utf8');
+    for await (let chunk of stream) {
+        if (first) {
+            chunk = chunk.replace(/^\uFEFF/, '');
+            first = false;
+        }
+        for (let index = 0; index < chunk.length; index++) {
+            const char = chunk[index];
+            if (quoted) {
+                if (char === '"') {
+                    quoted = false;
+                    afterQuote = true;
+                } else {
+                    field += char;
+                }
+            } else if (char === '"') {
+                // A quote right after a closing one is an escaped quote
+                if (afterQuote) {
+                    field += '"';
+                }
+                quoted = true;
+                afterQuote = false;
+            } else {
+                afterQuote = false;
+                if (char === ',') {
+                    record.push(field);
+                    field = '';
+                } else if (char === '\n') {
+                    yield* endRecord();
+                } else if (char !== '\r') {
+                    field += char;
+                }
+            }
+        }
+    }
+    if (field !== '' || record.length > 0) {
+        yield* endRecord();
+    }
+    if (!header) {
+        throw new ValidationError('The file is empty');
+    }
+}
+
+/**
+ * A GA4 BigQuery export event as a visit with one page view. Events other than page_view
+ * and events without a session give null.
+ * @param {object} event
+ * @returns {object|null}
+ */
+function ga4Visit(event) {
+    if (event.event_name !== 'page_view' || !event.user_pseudo_id) {
+        return null;
+    }
+    const params = {};
+    for (const { key, value = {} } of event.event_params || []) {
+        params[key] = value.string_value ?? value.int_value ?? value.double_value ?? value.float_value ?? null;
+    }
+    const micros = Number(event.event_timestamp);
+    if (params.ga_session_id === null || params.ga_session_id === undefined || !Number.isFinite(micros)) {
+        return null;
+    }
+    const viewedAt = new Date(micros / 1000);
+    const pageUrl = params.page_location;
+    const traffic = event.collected_traffic_source || {};
+    const campaign = urlCampaign(pageUrl);
+    const device = event.device || {};
+    const webInfo = device.web_info || {};
+    const geo = event.geo || {};
+    const countryCode = toCountryCode(geo.country);
+
+    return {
+        visitorId: `ga4:${event.user_pseudo_id}`,
+        sessionId: `ga4:${event.user_pseudo_id}:${params.ga_session_id}`,
+        startedAt: viewedAt,
+        endedAt: viewedAt,
+        landingPage: toPath(pageUrl),
+        ...externalReferrer(params.page_referrer, pageUrl),
+        campaign: {
+            ...campaign,
+            utm_source: clean(traffic.manual_source) || campaign.utm_source,
+            utm_medium: clean(traffic.manual_medium) || campaign.utm_medium,
+            utm_campaign: clean(traffic.manual_campaign_name) || campaign.utm_campaign,
+            utm_term: clean(traffic.manual_term) || campaign.utm_term,
+            utm_content: clean(traffic.manual_content) || campaign.utm_content,
+            gclid: clean(traffic.gclid) || campaign.gclid
+        },
+        details: {
+            country: countryCode,
+            country_code: countryCode,
+            city: clean(geo.city),
+            region: clean(geo.region),
+            browser: clean(webInfo.browser || device.browser),
+            browser_version: clean(webInfo.browser_version || device.browser_version),
+            device_type: toDeviceType(device.category),
+            device_brand: clean(device.mobile_brand_name),
+            device_model: clean(device.mobile_model_name),
+            os: clean(device.operating_system),
+            os_version: clean(device.operating_system_version),
+            screen_width: null,
+            screen_height: null,
+            language: clean(device.language)
+        },
+        pageViews: [{ path: toPath(pageUrl), title: params.page_title || '', viewedAt, timeOnPage: null }]
+    };
+}
+
+/**
+ * A row of a Matomo visits log CSV export (Visits Log, flattened) as a visit with its page
+ * views. Rows without page views give null.
+ * @param {object} row
+ * @returns {object|null}
+ */
+function matomoVisit(row) {
+    const pageViews = [];
+    for (let index = 0; row[`actionDetails_${index}_type`] !== undefined; index++) {
+        const prefix = `actionDetails_${index}_`;
+        const viewedAt = fromUnixSeconds(row[`${prefix}timestamp`]);
+        if (row[`${prefix}type`] !== 'action' || !viewedAt) {
+            continue;
+        }
+        const timeSpent = parseInt(row[`${prefix}timeSpent`], 10);
+        pageViews.push({
+            path: toPath(row[`${prefix}url`]),
+            title: row[`${prefix}pageTitle`] || '',
+            viewedAt,
+            timeOnPage: Number.isInteger(timeSpent) ? timeSpent : null
+        });
+    }
+    if (pageViews.length === 0 || !row.idVisit) {
+        return null;
+    }
+
+    const firstUrl = row.actionDetails_0_url;
+    const referrerUrl = parseUrl(clean(row.referrerUrl));
+    const campaign = urlCampaign(firstUrl);
+    const isCampaign = row.referrerType === 'campaign';
+    const countryCode = clean(row.countryCode)?.toUpperCase() || null;
+    const [width, height] = (clean(row.resolution) || '').split('x').map(Number);
+
+    return {
+        visitorId: `matomo:${row.idSite || 0}:${row.visitorId || row.idVisit}`,
+        sessionId: `matomo:${row.idSite || 0}:${row.idVisit}`,
+        startedAt: fromUnixSeconds(row.firstActionTimestamp) || pageViews[0].viewedAt,
+        endedAt: fromUnixSeconds(row.lastActionTimestamp) || pageViews[pageViews.length - 1].viewedAt,
+        landingPage: pageViews[0].path,
+        referrer: referrerUrl ? referrerUrl.href : null,
+        referrerDomain: referrerUrl ? referrerUrl.hostname : (row.referrerType === 'search' ? clean(row.referrerName) : null),
+        campaign: {
+            ...campaign,
+            utm_source: clean(row.campaignSource) || campaign.utm_source,
+            utm_medium: clean(row.campaignMedium) || campaign.utm_medium,
+            utm_campaign: clean(row.campaignName) || (isCampaign ? clean(row.referrerName) : null) || campaign.utm_campaign,
+            utm_term: clean(row.campaignKeyword) || (isCampaign ? clean(row.referrerKeyword) : null) || campaign.utm_term,
+            utm_content: clean(row.campaignContent) || campaign.utm_content
+        },
+        details: {
+            country: countryCode,
+            country_code: countryCode,
+            city: clean(row.city),
+            region: clean(row.region),
+            browser: clean(row.browserName),
+            browser_version: clean(row.browserVersion),
+            device_type: toDeviceType(row.deviceType),
+            device_brand: clean(row.deviceBrand),
+            device_model: clean(row.deviceModel),
+            os: clean(row.operatingSystemName),
+            os_version: clean(row.operatingSystemVersion),
+            screen_width: width || null,
+            screen_height: height || null,
+            language: clean(row.languageCode)
+        },
+        pageViews
+    };
+}
+
+// Plausible export files: the column that identifies each (null for the totals) and the rollup
+// dimensions its rows add to, as [dimension, value column]. Visits count as sessions.
+const PLAUSIBLE_FILES = [
+    { column: 'page', dimensions: [['page', 'page']] },
+    { column: 'entry_page', dimensions: [['entry_page', 'entry_page']], sessions: 'entrances' },
+    {
+        column: 'source',
+        dimensions: [['source', 'source'], ['utm_source', 'utm_source'], ['utm_medium', 'utm_medium'], ['utm_campaign', 'utm_campaign']]
+    },
+    { column: 'country', dimensions: [['country', 'country']] },
+    { column: 'device', dimensions: [['device', 'device']] },
+    { column: 'browser', dimensions: [['browser', 'browser']] },
+    { column: null, dimensions: [['total', null]] }
+];
+
+// Columns of imported_visitors, the file with site totals
+const PLAUSIBLE_TOTAL_COLUMNS = ['date', 'visitors', 'pageviews', 'bounces', 'visits', 'visit_duration'];
+
+// Plausible values in the form the tracker stores them
+function plausibleValue(dimension, value) {
+    const cleaned = clean(value);
+    if (dimension === 'source') {
+        return !cleaned || cleaned === 'Direct / None' ? 'Direct' : cleaned;
+    }
+    if (dimension === 'device') {
+        return toDeviceType(cleaned);
+    }
+    if (dimension === 'country') {
+        return cleaned ? cleaned.toUpperCase() : null;
+    }
+    return cleaned;
+}
+
+function plausibleFile(row) {
+    const isTotals = Object.keys(row).every(column => PLAUSIBLE_TOTAL_COLUMNS.includes(column));
+    const file = PLAUSIBLE_FILES.find(candidate => (candidate.column === null ? isTotals : candidate.column in row));
+    if (!file || !('date' in row) || !('visitors' in row)) {
+        throw new ValidationError(
+            'Unsupported Plausible export: use imported_visitors, imported_pages, imported_entry_pages, ' +
+            'imported_sources, imported_locations, imported_devices or imported_browsers'
+        );
+    }
+    return file;
+}
+
+function toCount(value) {
+    const count = parseInt(value, 10);
+    return Number.isInteger(count) && count > 0 ? count : 0;
+}
+
+/**
+ * Read an export as records: `{ type: 'visit', visit }` with visits as ga4Visit() and
+ * matomoVisit() give them, `{ type: 'aggregates', aggregates }` with one day's visitors, sessions
+ * and page views per dimension value, or `{ type: 'ignored' }` for rows that hold neither.
+ * @param {string} source one of IMPORT_SOURCES
+ * @param {import('stream').Readable} stream
+ * @returns {AsyncGenerator<object>}
+ * @throws {ValidationError} when the file isn't a valid export
+ */
+async function* readExport(source, stream) {
+    if (source === 'ga4') {
+        const lines = readline.createInterface({ input: stream, crlfDelay: Infinity });
+        let lineNumber = 0;
+        for await (const line of lines) {
+            lineNumber++;
+            if (line.trim() === '') {
+                continue;
+            }
+            let event;
+            try {
+                event = JSON.parse(line);
+            } catch (err) {
+                throw new ValidationError(`Line ${lineNumber} is not JSON`);
+            }
+            const visit = ga4Visit(event);
+            yield visit ? { type: 'visit', visit } : { type: 'ignored' };
+        }
+        return;
+    }
+
+    let file = null;
+    let rowNumber = 1;
+    for await (const row of readCsv(stream)) {
+        rowNumber++;
+        if (source === 'matomo') {
+            const visit = matomoVisit(row);
+            yield visit ? { type: 'visit', visit } : { type: 'ignored' };
+            continue;
+        }
+
+        file = file || plausibleFile(row);
+        const day = row.date;
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(day)) {
+            throw new ValidationError(`Row ${rowNumber} has no valid date`);
+        }
+        const metrics = {
+            visitors: toCount(row.visitors),
+            sessions: toCount(row[file.sessions || 'visits']),
+            page_views: toCount(row.pageviews)
+        };
+        yield {
+            type: 'aggregates',
+            aggregates: file.dimensions
+                .filter(([, column]) => column === null || column in row)
+                .map(([dimension, column]) => ({
+                    day,
+                    dimension,
+                    value: column === null ? '' : plausibleValue(dimension, row[column]) || '',
+                    ...metrics
+                }))
+        };
+    }
+}
+
+module.exports = { IMPORT_SOURCES, CAMPAIGN_COLUMNS, readCsv, ga4Visit, matomoVisit, readExport };
@@ -0,0 +1,387 @@
+/**
+ * Imports
+ * History from other analytics tools: uploaded exports are read in the background into
+ * visitors, sessions and page views, or into daily rollups where the export holds no visits,
+ * each row tagged with its import so the import can be rolled back
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { HttpError, ValidationError } = require('./errors');
+const { IMPORT_SOURCES, CAMPAIGN_COLUMNS, readExport } = require('./import-formats');
+const { toSqliteDateTime } = require('./query');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Records written per transaction. Hits are written between batches.
+const IMPORT_BATCH_SIZE = 500;
+
+// Session columns taken from the session's first page view
+const FIRST_TOUCH_COLUMNS = ['referrer', 'referrer_domain', ...CAMPAIGN_COLUMNS];
+
+const DETAIL_COLUMNS = [
+    'country', 'country_code', 'city', 'region', 'browser', 'browser_version', 'device_type', 'device_brand',
+    'device_model', 'os', 'os_version', 'screen_width', 'screen_height', 'language'
+];
+
+function toImport(row) {
+    return {
+        id: row.id,
+        siteId: row.site_id,
+        source: row.source,
+        fileName: row.file_name,
+        fileSize: row.file_size,
+        fileHash: row.file_hash,
+        status: row.status,
+        until: row.until,
+        progress: {
+            bytesRead: row.bytes_read,
+            percent: row.file_size ? Math.round(row.bytes_read * 1000 / row.file_size) / 10 : 100,
+            rowsRead: row.rows_read,
+            rowsImported: row.rows_imported,
+            rowsSkipped: row.rows_skipped
+        },
+        error: row.error,
+        created_at: row.created_at,
+        finishedAt: row.finished_at,
+        rolledBackAt: row.rolled_back_at
+    };
+}
+
+function nextTurn() {
+    return new Promise(resolve => setImmediate(resolve));
+}
+
+/**
+ * Imports backed by the imports and import_aggregates tables.
+ * @param {import('better-sqlite3').Database} db
+ * @param {{ rollups: object, uploadDir: string, maxBytes: number }} options uploads are kept
+ *        in uploadDir until their import has run
+ */
+function createImports(db, { rollups, uploadDir, maxBytes }) {
+    function get(id) {
+        const row = db.prepare('SELECT * FROM imports WHERE id = ?').get(id);
+        return row ? toImport(row) : null;
+    }
+
+    // Imports of one site, or of every site when siteId is null, newest first
+    function list(siteId = null) {
+        const rows = siteId
+            ? db.prepare('SELECT * FROM imports WHERE site_id = ? ORDER BY id DESC').all(siteId)
+            : db.prepare('SELECT * FROM imports ORDER BY id DESC').all();
+        return rows.map(toImport);
+    }
+
+    // Delete what an import wrote. Its visitors stay while later imports' sessions use them.
+    function removeRows(importId) {
+        db.prepare('DELETE FROM page_views WHERE import_id = ?').run(importId);
+        db.prepare('DELETE FROM sessions WHERE import_id = ?').run(importId);
+        const unused = 'import_id = ? AND visitor_id NOT IN (SELECT visitor_id FROM sessions)';
+        db.prepare(`DELETE FROM visitor_details WHERE ${unused}`).run(importId);
+        db.prepare(`DELETE FROM visitors WHERE ${unused}`).run(importId);
+        db.prepare('DELETE FROM import_aggregates WHERE import_id = ?').run(importId);
+    }
+
+    const insertVisitor = db.prepare(`
+        INSERT INTO visitors (visitor_id, site_id, is_bot, created_at, last_seen, import_id)
+        VALUES (@visitorId, @siteId, 0, @startedAt, @endedAt, @importId)
+        ON CONFLICT (visitor_id) DO UPDATE SET
+            created_at = MIN(created_at, excluded.created_at),
+            last_seen = MAX(last_seen, excluded.last_seen)
+        WHERE import_id IS NOT NULL
+    `);
+    const insertDetails = db.prepare(`
+        INSERT OR IGNORE INTO visitor_details (visitor_id, site_id, ${DETAIL_COLUMNS.join(', ')}, updated_at, import_id)
+        VALUES (@visitorId, @siteId, ${DETAIL_COLUMNS.map(column => `@${column}`).join(', ')}, @startedAt, @importId)
+    `);
+    // Page views of a session may be spread over the file, so a session grows as they are read.
+    // Sessions that already exist, tracked or from another import, are left alone.
+    const upsertSession = db.prepare(`
+        INSERT INTO sessions (
+            site_id, visitor_id, session_id, started_at, last_activity_at, ended_at, page_views, landing_page,
+            ${FIRST_TOUCH_COLUMNS.join(', ')}, import_id, import_source
+        )
+        VALUES (
+            @siteId, @visitorId, @sessionId, @startedAt, @endedAt, @endedAt, @pageViews, @landingPage,
+            ${FIRST_TOUCH_COLUMNS.map(column => `@${column}`).join(', ')}, @importId, @source
+        )
+        ON CONFLICT (session_id) DO UPDATE SET
+            started_at = MIN(started_at, excluded.started_at),
+            last_activity_at = MAX(last_activity_at, excluded.last_activity_at),
+            ended_at = MAX(ended_at, excluded.ended_at),
+            page_views = page_views + excluded.page_views,
+            landing_page = CASE WHEN excluded.started_at < started_at THEN excluded.landing_page ELSE landing_page END,
+            ${FIRST_TOUCH_COLUMNS.map(column => `${column} = CASE WHEN excluded.started_at < started_at
+                THEN COALESCE(excluded.${column}, ${column}) ELSE COALESCE(${column}, excluded.${column}) END`).join(',\n            ')}
+        WHERE import_id = excluded.import_id
+    `);
+    const insertPageView = db.prepare(`
+        INSERT INTO page_views (site_id, session_id, visitor_id, page_path, page_title, viewed_at, time_on_page, import_id)
+        VALUES (@siteId, @sessionId, @visitorId, @path, @title, @viewedAt, @timeOnPage, @importId)
+    `);
+    // Days another completed import of the site already has aggregates for are skipped
+    const isAggregated = db.prepare(`
+        SELECT 1 FROM import_aggregates a JOIN imports i ON i.id = a.import_id
+        WHERE a.site_id = @siteId AND a.day = @day AND a.dimension = @dimension
+        AND a.import_id <> @importId AND i.status = 'completed'
+        LIMIT 1
+    `);
+    const addAggregate = db.prepare(`
+        INSERT INTO import_aggregates (import_id, site_id, day, dimension, value, visitors, sessions, page_views)
+        VALUES (@importId, @siteId, @day, @dimension, @value, @visitors, @sessions, @page_views)
+        ON CONFLICT (import_id, day, dimension, value) DO UPDATE SET
+            visitors = visitors + excluded.visitors,
+            sessions = sessions + excluded.sessions,
+            page_views = page_views + excluded.page_views
+    `);
+
+    // Whether a record was written; false when it is skipped
+    function writeVisit(job, visit) {
+        if (job.until && visit.startedAt >= job.until) {
+            return false;
+        }
+        const params = {
+            importId: job.id,
+            siteId: job.siteId,
+            source: job.source,
+            visitorId: visit.visitorId,
+            sessionId: visit.sessionId,
+            startedAt: toSqliteDateTime(visit.startedAt),
+            endedAt: toSqliteDateTime(visit.endedAt),
+            pageViews: visit.pageViews.length,
+            landingPage: visit.landingPage,
+            referrer: visit.referrer,
+            referrer_domain: visit.referrerDomain,
+            ...visit.campaign,
+            ...visit.details
+        };
+        insertVisitor.run(params);
+        if (upsertSession.run(params).changes === 0) {
+            return false;
+        }
+        insertDetails.run(params);
+        for (const pageView of visit.pageViews) {
+            insertPageView.run({ ...params, ...pageView, viewedAt: toSqliteDateTime(pageView.viewedAt) });
+        }
+        return true;
+    }
+
+    // Days must be over before the cutover and rolled up, so tracked hits and the rollup job
+    // never count them as well
+    function writeAggregates(job, aggregates) {
+        let written = false;
+        for (const aggregate of aggregates) {
+            const dayEnd = Date.parse(`${aggregate.day}T00:00:00Z`) + DAY_MS;
+            const rolledUntil = rollups.rolledUntil();
+            if ((job.until && dayEnd > job.until.getTime()) || !rolledUntil || dayEnd > rolledUntil.getTime()) {
+                continue;
+            }
+            const params = { ...aggregate, importId: job.id, siteId: job.siteId };
+            if (!isAggregated.get(params)) {
+                addAggregate.run(params);
+                written = true;
+            }
+        }
+        return written;
+    }
+
+    const writeBatch = db.transaction((job, records) => {
+        const counts = { imported: 0, skipped: 0 };
+        for (const record of records) {
+            const written = record.type === 'visit' ? writeVisit(job, record.visit)
+                : record.type === 'aggregates' ? writeAggregates(job, record.aggregates)
+                    : false;
+            counts[written ? 'imported' : 'skipped']++;
+        }
+        db.prepare(`
+            UPDATE imports
+            SET bytes_read = ?, rows_read = rows_read + ?, rows_imported = rows_imported + ?, rows_skipped = rows_skipped + ?
+            WHERE id = ?
+        `).run(job.bytesRead(), records.length, counts.imported, counts.skipped, job.id);
+    });
+
+    // Close the import's sessions as closeIdleSessions() does for tracked ones, then count its
+    // rows in the rollups
+    const complete = db.transaction(job => {
+        db.prepare(`
+            UPDATE sessions SET
+                page_views = (SELECT COUNT(*) FROM page_views p WHERE p.session_id = sessions.session_id),
+                duration = CAST(ROUND((julianday(ended_at) - julianday(started_at)) * 86400) AS INTEGER)
+            WHERE import_id = ?
+        `).run(job.id);
+        db.prepare('UPDATE sessions SET is_bounce = (page_views = 1) WHERE import_id = ?').run(job.id);
+        db.prepare(`
+            UPDATE page_views SET
+                is_bounce = (SELECT is_bounce FROM sessions s WHERE s.session_id = page_views.session_id),
+                time_on_page = COALESCE(time_on_page, (
+                    SELECT CAST(ROUND((julianday(MIN(n.viewed_at)) - julianday(page_views.viewed_at)) * 86400) AS INTEGER)
+                    FROM page_views n
+                    WHERE n.session_id = page_views.session_id AND n.viewed_at > page_views.viewed_at
+                ))
+            WHERE import_id = ?
+        `).run(job.id);
+        db.prepare(`
+            UPDATE imports SET status = 'completed', bytes_read = file_size, finished_at = CURRENT_TIMESTAMP WHERE id = ?
+        `).run(job.id);
+        rollups.addImport(job.id, 1);
+    });
+
+    const fail = db.transaction((importId, message) => {
+        removeRows(importId);
+        db.prepare(`
+            UPDATE imports SET status = 'failed', error = ?, finished_at = CURRENT_TIMESTAMP WHERE id = ?
+        `).run(message, importId);
+    });
+
+    async function run(job, file) {
+        const stream = fs.createReadStream(file);
+        job.bytesRead = () => stream.bytesRead;
+        try {
+            let batch = [];
+            for await (const record of readExport(job.source, stream)) {
+                batch.push(record);
+                if (batch.length === IMPORT_BATCH_SIZE) {
+                    writeBatch(job, batch);
+                    batch = [];
+                    await nextTurn();
+                }
+            }
+            writeBatch(job, batch);
+            complete(job);
+        } catch (err) {
+            if (!(err instanceof ValidationError)) {
+                console.error(`Import ${job.id} error:`, err);
+            }
+            fail(job.id, err.message);
+        } finally {
+            stream.destroy();
+            fs.rm(file, { force: true }, () => {});
+        }
+    }
+
+    // Write an upload to a file, hashing it on the way
+    function saveUpload(stream, file) {
+        return new Promise((resolve, reject) => {
+            const hash = crypto.createHash('sha256');
+            const out = fs.createWriteStream(file);
+            let size = 0;
+            stream.on('data', chunk => {
+                size += chunk.length;
+                if (size > maxBytes) {
+                    stream.unpipe(out);
+                    stream.resume();
+                    out.destroy();
+                    reject(new HttpError(413, `The file is larger than ${maxBytes} bytes`));
+                    return;
+                }
+                hash.update(chunk);
+            });
+            stream.on('error', reject);
+            out.on('error', reject);
+            out.on('finish', () => resolve({ size, hash: hash.digest('hex') }));
+            stream.pipe(out);
+        });
+    }
+
+    /**
+     * Upload an export and import it in the background. Visits that start at or after `until`
+     * are skipped, and so are days that end after it; it defaults to the start of the site's
+     * first tracked session, so history stops where tracking took over. An export that was
+     * imported before, or is being imported, isn't imported again.
+     * @param {number} siteId
+     * @param {{ source: string, fileName?: string|null, until?: Date|null }} options
+     * @param {import('stream').Readable} stream the export
+     * @returns {Promise<{ import: object, created: boolean }>}
+     * @throws {ValidationError|HttpError}
+     */
+    async function create(siteId, { source, fileName = null, until = null }, stream) {
+        if (!IMPORT_SOURCES.includes(source)) {
+            throw new ValidationError(`source must be one of: ${IMPORT_SOURCES.join(', ')}`);
+        }
+        fs.mkdirSync(uploadDir, { recursive: true });
+        const file = path.join(uploadDir, `${crypto.randomUUID()}.upload`);
+        let upload;
+        try {
+            upload = await saveUpload(stream, file);
+            if (upload.size === 0) {
+                throw new ValidationError('The file is empty');
+            }
+        } catch (err) {
+            fs.rm(file, { force: true }, () => {});
+            throw err;
+        }
+
+        const existing = db.prepare(`
+            SELECT id FROM imports
+            WHERE site_id = ? AND source = ? AND file_hash = ? AND status IN ('running', 'completed')
+        `).get(siteId, source, upload.hash);
+        if (existing) {
+            fs.rm(file, { force: true }, () => {});
+            return { import: get(existing.id), created: false };
+        }
+
+        if (!until) {
+            const firstTracked = db.prepare(`
+                SELECT MIN(started_at) as started_at FROM sessions WHERE site_id = ? AND import_id IS NULL
+            `).get(siteId).started_at;
+            until = firstTracked ? new Date(`${firstTracked.replace(' ', 'T')}Z`) : null;
+        }
+        const id = db.prepare(`
+            INSERT INTO imports (site_id, source, file_name, file_size, file_hash, status, until, created_at)
+            VALUES (?, ?, ?, ?, ?, 'running', ?, CURRENT_TIMESTAMP)
+        `).run(siteId, source, fileName, upload.size, upload.hash, until ? toSqliteDateTime(until) : null).lastInsertRowid;
+
+        run({ id, siteId, source, until }, file).catch(err => {
+            // fail() itself threw; don't leave the import running
+            console.error(`Import ${id} error:`, err);
+            try {
+                db.prepare(`
+                    UPDATE imports SET status = 'failed', error = ?, finished_at = CURRENT_TIMESTAMP
+                    WHERE id = ? AND status = 'running'
+                `).run(err.message, id);
+            } catch (updateErr) {
+                console.error(`Import ${id} status error:`, updateErr);
+            }
+        });
+        return { import: get(id), created: true };
+    }
+
+    /**
+     * Take a completed import out again: its rows, and their counts in the rollups.
+     * @param {number} id
+     * @returns {object|null} the import, or null if there is no such import
+     * @throws {HttpError} 409 when the import hasn't completed
+     */
+    function rollback(id) {
+        const existing = get(id);
+        if (!existing) {
+            return null;
+        }
+        if (existing.status !== 'completed') {
+            throw new HttpError(409, `Only completed imports can be rolled back; this one is ${existing.status}`);
+        }
+        db.transaction(() => {
+            rollups.addImport(existing.id, -1);
+            removeRows(existing.id);
+            db.prepare(`
+                UPDATE imports SET status = 'rolled_back', rolled_back_at = CURRENT_TIMESTAMP WHERE id = ?
+            `).run(existing.id);
+        })();
+        return get(existing.id);
+    }
+
+    // Imports cut short by a restart are failed, and their uploads deleted
+    for (const { id } of db.prepare("SELECT id FROM imports WHERE status = 'running'").all()) {
+        fail(id, 'Interrupted by a restart');
+    }
+    if (fs.existsSync(uploadDir)) {
+        for (const file of fs.readdirSync(uploadDir).filter(name => name.endsWith('.upload'))) {
+            fs.rmSync(path.join(uploadDir, file), { force: true });
+        }
+    }
+
+    return { list, get, create, rollback };
+}
+
+module.exports = { createImports };
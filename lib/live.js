@@ -0,0 +1,129 @@
+/**
+ * Live stream
+ * Pushes tracked hits and active visitor counts to dashboards over Server-Sent Events,
+ * from memory, so connected clients never query the database
+ */
+
+// Visitors with a hit in this window count as active, as in /api/realtime
+const ACTIVE_WINDOW_MS = 5 * 60 * 1000;
+const ACTIVE_INTERVAL_MS = 5 * 1000;
+
+// Hits that only mark the visitor as active
+const ACTIVITY_TYPES = ['heartbeat', 'pagehide'];
+
+// In-memory version of the filter operators in query.js
+function matches(filter, value) {
+    const { operator } = filter;
+    const negated = operator.startsWith('!');
+    if (value === null || value === undefined) {
+        return negated;
+    }
+    const text = String(value);
+    let match;
+    if (operator === '==' || operator === '!=') {
+        match = text === filter.value;
+    } else if (operator === '=@' || operator === '!@') {
+        match = text.toLowerCase().includes(filter.value.toLowerCase());
+    } else {
+        filter.regex = filter.regex || new RegExp(filter.value);
+        match = filter.regex.test(text);
+    }
+    return negated ? !match : match;
+}
+
+// Whether a hit is in a client's site, bot and filter scope. Filters compare the hit's own
+// dimensions, e.g. page== matches the page of the hit rather than any page of its session.
+function inScope(scope, hit) {
+    if (scope.siteId && hit.siteId !== scope.siteId) {
+        return false;
+    }
+    if (!scope.includeBots && hit.isBot) {
+        return false;
+    }
+    return scope.filters.every(filter => matches(filter, hit.dimensions[filter.dimension]));
+}
+
+function send(res, event, data) {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+/**
+ * Live stream hub. The ingest path publishes hits; each connected client receives the ones
+ * in its scope, plus an `active` event with the number of active visitors every few seconds.
+ */
+function createLiveStream() {
+    const clients = new Set();
+    // visitor_id -> latest hit, for the active visitor count
+    const activeVisitors = new Map();
+
+    function countActive(scope) {
+        const since = Date.now() - ACTIVE_WINDOW_MS;
+        let count = 0;
+        for (const hit of activeVisitors.values()) {
+            if (hit.time >= since && inScope(scope, hit)) {
+                count++;
+            }
+        }
+        return count;
+    }
+
+    function broadcastActive() {
+        const since = Date.now() - ACTIVE_WINDOW_MS;
+        for (const [visitorId, hit] of activeVisitors) {
+            if (hit.time < since) {
+                activeVisitors.delete(visitorId);
+            }
+        }
+        for (const client of clients) {
+            send(client.res, 'active', { count: countActive(client.scope) });
+        }
+    }
+
+    /**
+     * Record a hit and push it to the clients it is in scope for.
+     * @param {{ type: string, siteId: number, visitorId: string, isBot: boolean, time: number,
+     *           dimensions: object, data: object }} hit dimensions are keyed like report
+     *        filters; data is what clients receive
+     */
+    function publish(hit) {
+        activeVisitors.set(hit.visitorId, hit);
+        if (ACTIVITY_TYPES.includes(hit.type)) {
+            return;
+        }
+        for (const client of clients) {
+            if (inScope(client.scope, hit)) {
+                send(client.res, hit.type === 'pageview' ? 'pageview' : 'event', hit.data);
+            }
+        }
+    }
+
+    /**
+     * Start streaming to a client until it disconnects.
+     * @param {import('express').Request} req
+     * @param {import('express').Response} res
+     * @param {{ siteId: number|null, includeBots: boolean, filters: object[] }} scope
+     */
+    function subscribe(req, res, scope) {
+        res.writeHead(200, {
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            'Connection': 'keep-alive',
+            // Stop proxies such as nginx from buffering the stream
+            'X-Accel-Buffering': 'no'
+        });
+        res.write(`retry: ${ACTIVE_INTERVAL_MS}\n\n`);
+
+        const client = { res, scope };
+        clients.add(client);
+        send(res, 'active', { count: countActive(scope) });
+
+        req.on('close', () => clients.delete(client));
+    }
+
+    // Also expires inactive visitors while no client is connected
+    setInterval(broadcastActive, ACTIVE_INTERVAL_MS).unref();
+
+    return { publish, subscribe };
+}
+
+module.exports = { createLiveStream };
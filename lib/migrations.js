@@ -0,0 +1,161 @@
+/**
+ * Migrations
+ * Numbered schema upgrades in database/migrations, applied in order at startup and recorded
+ * in schema_migrations
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// 001-add-site-columns.js or 002-dedupe-visitor-details.sql
+const MIGRATION_FILE = /^(\d+)-([a-z0-9-]+)\.(js|sql)$/;
+
+/**
+ * Read the migrations in a directory. SQL files are executed as they are; JS files export
+ * up(db).
+ * @param {string} dir
+ * @returns {{ version: number, name: string, up: Function }[]} in version order
+ */
+function loadMigrations(dir) {
+    const migrations = [];
+    for (const file of fs.readdirSync(dir).sort()) {
+        const match = file.match(MIGRATION_FILE);
+        if (!match) {
+            continue;
+        }
+        const version = parseInt(match[1], 10);
+        if (migrations.some(migration => migration.version === version)) {
+            throw new Error(`Duplicate migration version ${version}: ${file}`);
+        }
+        const filePath = path.join(dir, file);
+        const up = match[3] === 'sql'
+            ? db => db.exec(fs.readFileSync(filePath, 'utf8'))
+            : require(filePath).up;
+        migrations.push({ version, name: match[2], up });
+    }
+    return migrations.sort((a, b) => a.version - b.version);
+}
+
+/**
+ * Add the columns a table is missing. For migrations that must also run on databases that
+ * already have some of the columns.
+ * @param {import('better-sqlite3').Database} db
+ * @param {string} table
+ * @param {object} columns column name -> type
+ */
+function addMissingColumns(db, table, columns) {
+    const existing = db.prepare(`PRAGMA table_info(${table})`).all().map(column => column.name);
+    for (const [column, type] of Object.entries(columns)) {
+        if (!existing.includes(column)) {
+            db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${type}`);
+        }
+    }
+}
+
+// 2024-05-01T12:00:00.000Z -> 20240501T120000Z
+function backupTimestamp(date) {
+    return date.toISOString().replace(/[-:]|\.\d+/g, '');
+}
+
+/**
+ * Migrator for a database. A new database gets schema.sql, which is always the current
+ * schema, and every migration is recorded as applied. An existing one gets the migrations it
+ * hasn't had yet, each in its own transaction, after a backup copy is written.
+ * @param {import('better-sqlite3').Database} db
+ * @param {{ schemaPath: string, migrationsDir: string, backupDir: string }} options
+ */
+function createMigrator(db, { schemaPath, migrationsDir, backupDir }) {
+    const migrations = loadMigrations(migrationsDir);
+
+    function isEmpty() {
+        return db.prepare("SELECT COUNT(*) as count FROM sqlite_master WHERE type = 'table' AND name NOT LIKE 'sqlite_%'")
+            .get().count === 0;
+    }
+
+    function ensureTable() {
+        db.exec(`
+            CREATE TABLE IF NOT EXISTS schema_migrations (
+                version INTEGER PRIMARY KEY,
+                name TEXT NOT NULL,
+                applied_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+    }
+
+    function getApplied() {
+        return db.prepare('SELECT version, name, applied_at FROM schema_migrations ORDER BY version').all();
+    }
+
+    function record(migration) {
+        db.prepare('INSERT INTO schema_migrations (version, name) VALUES (?, ?)').run(migration.version, migration.name);
+    }
+
+    // Consistent copy of the database, written without holding up readers
+    function backup(version) {
+        fs.mkdirSync(backupDir, { recursive: true });
+        const name = path.basename(db.name, path.extname(db.name));
+        const file = path.join(backupDir, `${name}-${backupTimestamp(new Date())}-v${version}.db`);
+        db.prepare('VACUUM INTO ?').run(file);
+        return file;
+    }
+
+    /**
+     * Schema version of the database and the migrations it is missing.
+     * @returns {{ version: number, latest: number, pending: string[] }}
+     */
+    function status() {
+        ensureTable();
+        const applied = new Set(getApplied().map(row => row.version));
+        return {
+            version: applied.size ? Math.max(...applied) : 0,
+            latest: migrations.length ? migrations[migrations.length - 1].version : 0,
+            pending: migrations.filter(migration => !applied.has(migration.version))
+                .map(migration => `${migration.version}-${migration.name}`)
+        };
+    }
+
+    /**
+     * Bring the database up to date. Refuses to touch a database that has migrations this
+     * release doesn't know, e.g. after a rollback to an older release.
+     * @returns {{ created: boolean, applied: string[], backup: string|null }}
+     * @throws {Error} when the database is newer than this release or a migration fails; a
+     *         failed migration is rolled back and the ones before it stay applied
+     */
+    function migrate() {
+        if (isEmpty()) {
+            db.transaction(() => {
+                db.exec(fs.readFileSync(schemaPath, 'utf8'));
+                ensureTable();
+                migrations.forEach(record);
+            })();
+            return { created: true, applied: [], backup: null };
+        }
+
+        ensureTable();
+        const applied = getApplied();
+        const known = new Map(migrations.map(migration => [migration.version, migration.name]));
+        const unknown = applied.filter(row => known.get(row.version) !== row.name);
+        if (unknown.length > 0) {
+            throw new Error(`Database has migrations this release doesn't know: ${unknown.map(row => `${row.version}-${row.name}`).join(', ')}`);
+        }
+
+        const appliedVersions = new Set(applied.map(row => row.version));
+        const pending = migrations.filter(migration => !appliedVersions.has(migration.version));
+        if (pending.length === 0) {
+            return { created: false, applied: [], backup: null };
+        }
+
+        const backupFile = backup(applied.length ? applied[applied.length - 1].version : 0);
+        for (const migration of pending) {
+            db.transaction(() => {
+                migration.up(db);
+                record(migration);
+            })();
+        }
+        return { created: false, applied: pending.map(migration => `${migration.version}-${migration.name}`), backup: backupFile };
+    }
+
+    return { migrate, status };
+}
+
+module.exports = { loadMigrations, addMissingColumns, createMigrator };
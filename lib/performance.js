@@ -0,0 +1,272 @@
+/**
+ * Performance
+ * Core Web Vitals and navigation timings sent with 'vitals' hits, and the percentile reports
+ * over them
+ */
+
+const { ValidationError } = require('./errors');
+const { INTERVALS } = require('./query');
+
+// Stored measurements: where a hit carries them, their unit and, for Core Web Vitals, the
+// "good" and "poor" thresholds Google rates the 75th percentile against
+const PERFORMANCE_METRICS = {
+    lcp: { field: ['vitals', 'lcp'], unit: 'ms', thresholds: [2500, 4000] },
+    inp: { field: ['vitals', 'inp'], unit: 'ms', thresholds: [200, 500] },
+    cls: { field: ['vitals', 'cls'], unit: 'score', thresholds: [0.1, 0.25] },
+    fcp: { field: ['vitals', 'fcp'], unit: 'ms', thresholds: [1800, 3000] },
+    ttfb: { field: ['vitals', 'ttfb'], unit: 'ms', thresholds: [800, 1800] },
+    dns_time: { field: ['navigation', 'dns'], unit: 'ms' },
+    connect_time: { field: ['navigation', 'connect'], unit: 'ms' },
+    tls_time: { field: ['navigation', 'tls'], unit: 'ms' },
+    request_time: { field: ['navigation', 'request'], unit: 'ms' },
+    response_time: { field: ['navigation', 'response'], unit: 'ms' },
+    dom_interactive: { field: ['navigation', 'domInteractive'], unit: 'ms' },
+    dom_content_loaded: { field: ['navigation', 'domContentLoaded'], unit: 'ms' },
+    load_time: { field: ['navigation', 'load'], unit: 'ms' },
+    transfer_size: { field: ['navigation', 'transferSize'], unit: 'bytes' }
+};
+
+// Metrics reported when a request doesn't choose
+const DEFAULT_METRICS = ['lcp', 'inp', 'cls', 'fcp', 'ttfb'];
+
+// Largest value accepted per unit; anything above is a broken measurement
+const UNIT_MAX = { ms: 60 * 60 * 1000, score: 100, bytes: 1e12 };
+
+const NAVIGATION_TYPES = ['navigate', 'reload', 'back_forward', 'prerender'];
+
+const PERCENTILES = [50, 75, 95];
+
+// Dimensions the report breaks down by: the row column and its SQL over web_vitals w and
+// visitor_details d
+const PERFORMANCE_BREAKDOWNS = {
+    page: { name: 'page_path', sql: 'w.page_path', join: false },
+    device: { name: 'device_type', sql: "COALESCE(d.device_type, 'unknown')", join: true },
+    browser: { name: 'browser', sql: "COALESCE(d.browser, 'unknown')", join: true },
+    country: { name: 'country', sql: "COALESCE(d.country, 'unknown')", join: true }
+};
+
+/**
+ * The measurements of a 'vitals' hit: data.vitals ({ lcp, inp, cls, fcp, ttfb }) and
+ * data.navigation ({ dns, connect, tls, request, response, domInteractive, domContentLoaded,
+ * load, transferSize, type }). Missing values are left out.
+ * @param {object} data the hit
+ * @returns {object} column -> value
+ * @throws {ValidationError}
+ */
+function parseMeasurements(data) {
+    for (const group of ['vitals', 'navigation']) {
+        const value = data[group];
+        if (value !== undefined && (typeof value !== 'object' || value === null || Array.isArray(value))) {
+            throw new ValidationError(`${group} must be an object`);
+        }
+    }
+
+    const measurements = {};
+    for (const [column, { field: [group, key], unit }] of Object.entries(PERFORMANCE_METRICS)) {
+        const value = data[group]?.[key];
+        if (value === undefined || value === null) {
+            continue;
+        }
+        if (typeof value !== 'number' || !Number.isFinite(value) || value < 0 || value > UNIT_MAX[unit]) {
+            throw new ValidationError(`${group}.${key} must be a number between 0 and ${UNIT_MAX[unit]}`);
+        }
+        measurements[column] = unit === 'bytes' ? Math.round(value) : value;
+    }
+    const navigationType = data.navigation?.type;
+    if (navigationType !== undefined && navigationType !== null) {
+        if (!NAVIGATION_TYPES.includes(navigationType)) {
+            throw new ValidationError(`navigation.type must be one of: ${NAVIGATION_TYPES.join(', ')}`);
+        }
+        measurements.navigation_type = navigationType;
+    }
+
+    if (Object.keys(measurements).length === 0) {
+        throw new ValidationError('A vitals hit must carry vitals or navigation timings');
+    }
+    return measurements;
+}
+
+/**
+ * Metrics named in a comma-separated list, or the Core Web Vitals.
+ * @param {string} [value]
+ * @returns {string[]}
+ * @throws {ValidationError}
+ */
+function parseMetrics(value) {
+    if (value === undefined || value === '') {
+        return DEFAULT_METRICS;
+    }
+    const metrics = [...new Set(String(value).split(',').map(metric => metric.trim()))];
+    for (const metric of metrics) {
+        if (!PERFORMANCE_METRICS[metric]) {
+            throw new ValidationError(`Unknown metric ${metric}; use: ${Object.keys(PERFORMANCE_METRICS).join(', ')}`);
+        }
+    }
+    return metrics;
+}
+
+/**
+ * Rating of a Core Web Vital's value: good, needs-improvement or poor. Null for other
+ * metrics and missing values.
+ * @param {string} metric
+ * @param {number|null} value
+ * @returns {string|null}
+ */
+function rate(metric, value) {
+    const { thresholds } = PERFORMANCE_METRICS[metric];
+    if (!thresholds || value === null || value === undefined) {
+        return null;
+    }
+    if (value <= thresholds[0]) {
+        return 'good';
+    }
+    return value <= thresholds[1] ? 'needs-improvement' : 'poor';
+}
+
+/**
+ * Web Vitals storage and reports.
+ * @param {import('better-sqlite3').Database} db
+ */
+function createPerformance(db) {
+    const columns = [...Object.keys(PERFORMANCE_METRICS), 'navigation_type'];
+
+    // A hit's measurements belong to the session's latest page view of the hit's path, or with
+    // none, to the session and path. The tracker sends them again as they change, so later
+    // values replace earlier ones.
+    const upsert = db.prepare(`
+        INSERT INTO web_vitals (site_id, session_id, visitor_id, page_view_id, page_path, ${columns.join(', ')}, created_at, updated_at)
+        VALUES (@siteId, @sessionId, @visitorId, @pageViewId, @pagePath, ${columns.map(column => `@${column}`).join(', ')}, @at, @at)
+        ON CONFLICT (page_view_id) DO UPDATE SET
+            ${columns.map(column => `${column} = COALESCE(excluded.${column}, ${column})`).join(',\n            ')},
+            updated_at = excluded.updated_at
+    `);
+    // Without a page view there is no conflict to catch (NULLs never conflict), so the row
+    // of the session and path is updated instead
+    const updateUnmatched = db.prepare(`
+        UPDATE web_vitals SET
+            ${columns.map(column => `${column} = COALESCE(@${column}, ${column})`).join(',\n            ')},
+            updated_at = @at
+        WHERE id = (
+            SELECT id FROM web_vitals
+            WHERE session_id = @sessionId AND page_view_id IS NULL AND page_path IS @pagePath
+            ORDER BY id DESC
+            LIMIT 1
+        )
+    `);
+    const findPageView = db.prepare(`
+        SELECT id, page_path FROM page_views
+        WHERE session_id = @sessionId AND (@pagePath IS NULL OR page_path = @pagePath) AND viewed_at <= @at
+        ORDER BY viewed_at DESC, id DESC
+        LIMIT 1
+    `);
+
+    /**
+     * Store the measurements of a 'vitals' hit. Runs in the write queue's transaction.
+     * @param {{ siteId: number, sessionId: string, visitorId: string, at: string }} hit
+     * @param {string|null} pagePath
+     * @param {object} measurements from parseMeasurements()
+     */
+    function record({ siteId, sessionId, visitorId, at }, pagePath, measurements) {
+        const pageView = findPageView.get({ sessionId, pagePath, at });
+        const values = Object.fromEntries(columns.map(column => [column, measurements[column] ?? null]));
+        const row = {
+            siteId,
+            sessionId,
+            visitorId,
+            pageViewId: pageView?.id ?? null,
+            pagePath: pagePath ?? pageView?.page_path ?? null,
+            at,
+            ...values
+        };
+        if (pageView || updateUnmatched.run(row).changes === 0) {
+            upsert.run(row);
+        }
+    }
+
+    // p50/p75/p95 of each metric per group (nearest rank: the smallest value with at least
+    // p% of the group's values at or below it), and the number of rows per group
+    function percentiles(statsQuery, group, metrics, { join = false, limit = -1 } = {}) {
+        const ranks = metrics.map(metric => `w.${metric},
+                   ROW_NUMBER() OVER (PARTITION BY ${group} ORDER BY w.${metric} NULLS LAST) * 1.0
+                       / COUNT(w.${metric}) OVER (PARTITION BY ${group}) as ${metric}_rank`);
+        const values = metrics.map(metric => [
+            `COUNT(${metric}) as ${metric}_samples`,
+            ...PERCENTILES.map(p => `MIN(CASE WHEN ${metric}_rank >= ${p / 100} THEN ${metric} END) as ${metric}_p${p}`)
+        ].join(', '));
+        return db.prepare(`
+            SELECT grp, COUNT(*) as samples, ${values.join(', ')}
+            FROM (
+                SELECT ${group} as grp, ${ranks.join(', ')}
+                FROM web_vitals w
+                ${join ? 'LEFT JOIN visitor_details d ON d.visitor_id = w.visitor_id' : ''}
+                WHERE 1=1 ${statsQuery.where('web_vitals', { alias: 'w' })}
+            )
+            GROUP BY grp
+            ORDER BY samples DESC, grp
+            LIMIT ${limit}
+        `).all(statsQuery.params);
+    }
+
+    function toValues(row, metrics) {
+        const values = {};
+        for (const metric of metrics) {
+            for (const p of PERCENTILES) {
+                values[`${metric}_p${p}`] = row?.[`${metric}_p${p}`] ?? null;
+            }
+        }
+        return values;
+    }
+
+    /**
+     * Percentiles over the whole range, rated against the Core Web Vitals thresholds, and
+     * per value of a breakdown dimension, busiest first.
+     * @param {import('./query').StatsQuery} statsQuery
+     * @param {{ by: string, metrics: string[], limit: number }} options
+     * @returns {{ samples: number, summary: object, rows: object[] }}
+     */
+    function report(statsQuery, { by, metrics, limit }) {
+        const breakdown = PERFORMANCE_BREAKDOWNS[by];
+        const [total] = percentiles(statsQuery, 'NULL', metrics);
+
+        const summary = {};
+        for (const metric of metrics) {
+            const p75 = total?.[`${metric}_p75`] ?? null;
+            summary[metric] = {
+                samples: total?.[`${metric}_samples`] || 0,
+                ...Object.fromEntries(PERCENTILES.map(p => [`p${p}`, total?.[`${metric}_p${p}`] ?? null])),
+                rating: rate(metric, p75)
+            };
+        }
+        const rows = percentiles(statsQuery, breakdown.sql, metrics, { join: breakdown.join, limit })
+            .map(row => ({ [breakdown.name]: row.grp, samples: row.samples, ...toValues(row, metrics) }));
+
+        return { samples: total?.samples || 0, summary, rows };
+    }
+
+    /**
+     * Percentiles per time bucket, for spotting the release that made pages slower.
+     * Buckets without measurements have 0 samples and null values.
+     * @param {import('./query').StatsQuery} statsQuery
+     * @param {{ interval: string, buckets: string[], from: Date, to: Date, metrics: string[] }} options
+     * @returns {object[]}
+     */
+    function trend(statsQuery, { interval, buckets, from, to, metrics }) {
+        const bucket = INTERVALS[interval].sql(statsQuery.localTime('w.created_at', from, to));
+        const rows = new Map(percentiles(statsQuery, bucket, metrics).map(row => [row.grp, row]));
+        return buckets.map(key => ({
+            bucket: key,
+            samples: rows.get(key)?.samples || 0,
+            ...toValues(rows.get(key), metrics)
+        }));
+    }
+
+    return { record, report, trend };
+}
+
+module.exports = {
+    PERFORMANCE_METRICS,
+    PERFORMANCE_BREAKDOWNS,
+    parseMeasurements,
+    parseMetrics,
+    createPerformance
+};
@@ -0,0 +1,172 @@
+/**
+ * Privacy
+ * IP anonymization, cookieless visitor IDs, Do-Not-Track and data-subject requests
+ */
+
+const crypto = require('crypto');
+const net = require('net');
+const { ValidationError } = require('./errors');
+
+// full: store as received; truncate: drop the host part; hash: salted daily hash; none: don't store
+const IP_MODES = ['full', 'truncate', 'hash', 'none'];
+
+// Tables holding data tied to a visitor_id, children first so deletes respect foreign keys
+const VISITOR_TABLES = ['events', 'page_views', 'web_vitals', 'sessions', 'visitor_details', 'visitors'];
+
+/**
+ * Privacy settings for a site: settings.privacy on the site, falling back to
+ * PRIVACY_IP_MODE, PRIVACY_COOKIELESS and PRIVACY_RESPECT_DNT.
+ * @param {{ settings: object }} site
+ * @returns {{ ipMode: string, cookieless: boolean, respectDoNotTrack: boolean }}
+ */
+function getPrivacySettings(site) {
+    const privacy = site.settings.privacy || {};
+    return {
+        ipMode: privacy.ipMode || process.env.PRIVACY_IP_MODE || 'full',
+        cookieless: privacy.cookieless ?? process.env.PRIVACY_COOKIELESS === 'true',
+        respectDoNotTrack: privacy.respectDoNotTrack ?? process.env.PRIVACY_RESPECT_DNT === 'true'
+    };
+}
+
+// Validate settings.privacy when a site is created or updated
+function validatePrivacySettings(privacy) {
+    if (typeof privacy !== 'object' || privacy === null || Array.isArray(privacy)) {
+        throw new ValidationError('settings.privacy must be an object');
+    }
+    if (privacy.ipMode !== undefined && !IP_MODES.includes(privacy.ipMode)) {
+        throw new ValidationError(`settings.privacy.ipMode must be one of: ${IP_MODES.join(', ')}`);
+    }
+    for (const flag of ['cookieless', 'respectDoNotTrack']) {
+        if (privacy[flag] !== undefined && typeof privacy[flag] !== 'boolean') {
+            throw new ValidationError(`settings.privacy.${flag} must be true or false`);
+        }
+    }
+}
+
+// Do-Not-Track or Global Privacy Control sent by the browser
+function hasOptOutSignal(req) {
+    return req.headers.dnt === '1' || req.headers['sec-gpc'] === '1';
+}
+
+// Zero the host part of an address: the last octet of IPv4, all but the first 48 bits of IPv6
+function truncateIp(ip) {
+    const mapped = ip.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+    const address = mapped ? mapped[1] : ip;
+
+    if (net.isIPv4(address)) {
+        return address.replace(/\.\d+$/, '.0');
+    }
+    if (net.isIPv6(address)) {
+        const [head] = address.split('::');
+        const groups = head.split(':').filter(group => group !== '');
+        return `${groups.slice(0, 3).join(':')}::`;
+    }
+    return null;
+}
+
+/**
+ * Privacy helpers backed by the daily_salts table.
+ * @param {import('better-sqlite3').Database} db
+ */
+function createPrivacy(db) {
+    /**
+     * Salt for today (UTC). Older salts are deleted, so hashes from earlier days can no
+     * longer be linked to an IP address.
+     * @returns {string}
+     */
+    function getDailySalt() {
+        const day = new Date().toISOString().slice(0, 10);
+        const existing = db.prepare('SELECT salt FROM daily_salts WHERE day = ?').get(day);
+        if (existing) {
+            return existing.salt;
+        }
+        const salt = crypto.randomBytes(32).toString('hex');
+        db.transaction(() => {
+            db.prepare('INSERT OR IGNORE INTO daily_salts (day, salt) VALUES (?, ?)').run(day, salt);
+            db.prepare('DELETE FROM daily_salts WHERE day < ?').run(day);
+        })();
+        return db.prepare('SELECT salt FROM daily_salts WHERE day = ?').get(day).salt;
+    }
+
+    function saltedHash(...parts) {
+        return crypto.createHmac('sha256', getDailySalt()).update(parts.join('\n')).digest('hex');
+    }
+
+    /**
+     * The IP address to store for a hit. Geolocation should use the original before this.
+     * @param {string} ip
+     * @param {string} mode one of IP_MODES
+     * @returns {string|null}
+     */
+    function anonymizeIp(ip, mode) {
+        if (!ip || mode === 'none') {
+            return null;
+        }
+        if (mode === 'truncate') {
+            return truncateIp(ip);
+        }
+        if (mode === 'hash') {
+            return saltedHash('ip', ip).slice(0, 32);
+        }
+        return ip;
+    }
+
+    /**
+     * Visitor ID derived without cookies: a hash of site, IP and user agent with a salt
+     * that rotates daily, so the same person gets a new ID every day.
+     * @param {number} siteId
+     * @param {string} ip
+     * @param {string} userAgent
+     * @returns {string}
+     */
+    function getCookielessVisitorId(siteId, ip, userAgent) {
+        return `cl_${saltedHash(siteId, ip, userAgent).slice(0, 32)}`;
+    }
+
+    /**
+     * Everything stored for a visitor, across all tables.
+     * @param {string} visitorId
+     * @returns {object|null} null if the visitor is unknown
+     */
+    function exportVisitor(visitorId) {
+        const visitor = db.prepare('SELECT * FROM visitors WHERE visitor_id = ?').get(visitorId);
+        if (!visitor) {
+            return null;
+        }
+        return {
+            visitor,
+            visitorDetails: db.prepare('SELECT * FROM visitor_details WHERE visitor_id = ? ORDER BY id').all(visitorId),
+            sessions: db.prepare('SELECT * FROM sessions WHERE visitor_id = ? ORDER BY started_at').all(visitorId),
+            pageViews: db.prepare('SELECT * FROM page_views WHERE visitor_id = ? ORDER BY viewed_at').all(visitorId),
+            events: db.prepare('SELECT * FROM events WHERE visitor_id = ? ORDER BY created_at').all(visitorId),
+            webVitals: db.prepare('SELECT * FROM web_vitals WHERE visitor_id = ? ORDER BY created_at').all(visitorId)
+        };
+    }
+
+    /**
+     * Delete everything stored for a visitor in one transaction.
+     * @param {string} visitorId
+     * @returns {object} rows deleted per table
+     */
+    function deleteVisitor(visitorId) {
+        return db.transaction(() => {
+            const deleted = {};
+            for (const table of VISITOR_TABLES) {
+                deleted[table] = db.prepare(`DELETE FROM ${table} WHERE visitor_id = ?`).run(visitorId).changes;
+            }
+            return deleted;
+        })();
+    }
+
+    return { getDailySalt, anonymizeIp, getCookielessVisitorId, exportVisitor, deleteVisitor };
+}
+
+module.exports = {
+    IP_MODES,
+    VISITOR_TABLES,
+    getPrivacySettings,
+    validatePrivacySettings,
+    hasOptOutSignal,
+    truncateIp,
+    createPrivacy
+};
@@ -0,0 +1,679 @@
+/**
+ * Stats query builder
+ * Validates report query parameters and turns them into SQL conditions with bound values
+ */
+
+const { ValidationError } = require('./errors');
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// Relative periods and how far back they reach ('all' has no lower bound)
+const PERIODS = {
+    '24h': DAY_MS,
+    '7d': 7 * DAY_MS,
+    '30d': 30 * DAY_MS,
+    '90d': 90 * DAY_MS,
+    'all': null
+};
+
+// Time column of each report table. Tables without one are scoped to visitors
+// with a session in the range.
+const TABLES = {
+    sessions: { time: 'started_at', hasSession: true },
+    page_views: { time: 'viewed_at', hasSession: true },
+    events: { time: 'created_at', hasSession: true },
+    // Filters on these dimensions use the table's own column instead of the dimension's table
+    web_vitals: { time: 'created_at', hasSession: true, dimensions: { page: prefix => `${prefix}page_path` } },
+    visitor_details: { time: null, hasSession: false },
+    visitors: { time: null, hasSession: false }
+};
+
+// Classify a referrer domain column into a named source
+function referrerSource(column) {
+    return `CASE 
+                    WHEN ${column} IS NULL OR ${column} = '' THEN 'Direct'
+                    WHEN ${column} LIKE '%google%' THEN 'Google'
+                    WHEN ${column} LIKE '%bing%' THEN 'Bing'
+                    WHEN ${column} LIKE '%yahoo%' THEN 'Yahoo'
+                    WHEN ${column} LIKE '%facebook%' THEN 'Facebook'
+                    WHEN ${column} LIKE '%twitter%' OR ${column} LIKE '%x.com%' THEN 'Twitter/X'
+                    WHEN ${column} LIKE '%linkedin%' THEN 'LinkedIn'
+                    WHEN ${column} LIKE '%instagram%' THEN 'Instagram'
+                    ELSE ${column}
+                END`;
+}
+
+// Filterable dimensions: the table holding each one and its SQL expression
+const DIMENSIONS = {
+    page: { table: 'page_views', column: prefix => `${prefix}page_path` },
+    entry_page: { table: 'sessions', column: prefix => `${prefix}landing_page` },
+    source: { table: 'sessions', column: prefix => referrerSource(`${prefix}referrer_domain`) },
+    referrer: { table: 'sessions', column: prefix => `${prefix}referrer_domain` },
+    utm_source: { table: 'sessions', column: prefix => `${prefix}utm_source` },
+    utm_medium: { table: 'sessions', column: prefix => `${prefix}utm_medium` },
+    utm_campaign: { table: 'sessions', column: prefix => `${prefix}utm_campaign` },
+    event: { table: 'events', column: prefix => `${prefix}event_name` },
+    country: { table: 'visitor_details', column: prefix => `${prefix}country` },
+    region: { table: 'visitor_details', column: prefix => `${prefix}region` },
+    city: { table: 'visitor_details', column: prefix => `${prefix}city` },
+    device: { table: 'visitor_details', column: prefix => `${prefix}device_type` },
+    browser: { table: 'visitor_details', column: prefix => `${prefix}browser` },
+    os: { table: 'visitor_details', column: prefix => `${prefix}os` },
+    language: { table: 'visitor_details', column: prefix => `${prefix}language` }
+};
+
+// Filter operators: equals, not equals, contains, not contains, regex, not regex
+const OPERATORS = ['==', '!=', '=@', '!@', '=~', '!~'];
+const NEGATED_OPERATORS = { '!=': '==', '!@': '=@', '!~': '=~' };
+const FILTER_PATTERN = /^([a-z_]+)(==|!=|=@|!@|=~|!~)(.*)$/s;
+const MAX_FILTERS = 20;
+const MAX_REGEX_LENGTH = 200;
+// Unbounded quantifiers (*, +, {n,}) allowed in one regex filter; each can multiply the
+// work per row by the length of the value
+const MAX_REGEX_UNBOUNDED = 2;
+
+// YYYY-MM-DD, optionally followed by a time and a UTC offset
+const DATE_PATTERN = /^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2}))?(?:\.\d+)?(Z|[+-]\d{2}:?\d{2})?)?$/;
+
+function isValidTimezone(timezone) {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+        return true;
+    } catch (err) {
+        return false;
+    }
+}
+
+// Formatters are costly to create and offsets are looked up per DST search step
+const formatters = new Map();
+
+// Wall-clock date and time fields of an instant in a timezone
+function getWallClock(timezone, date) {
+    let formatter = formatters.get(timezone);
+    if (!formatter) {
+        formatter = new Intl.DateTimeFormat('en-US', {
+            timeZone: timezone,
+            hourCycle: 'h23',
+            year: 'numeric',
+            month: '2-digit',
+            day: '2-digit',
+            hour: '2-digit',
+            minute: '2-digit',
+            second: '2-digit'
+        });
+        formatters.set(timezone, formatter);
+    }
+    const parts = formatter.formatToParts(date);
+    const value = type => Number(parts.find(part => part.type === type).value);
+    return {
+        year: value('year'),
+        month: value('month'),
+        day: value('day'),
+        hour: value('hour'),
+        minute: value('minute'),
+        second: value('second')
+    };
+}
+
+// Milliseconds the timezone is ahead of UTC at the given instant
+function getTimezoneOffset(timezone, date) {
+    const { year, month, day, hour, minute, second } = getWallClock(timezone, date);
+    const wallClock = Date.UTC(year, month - 1, day, hour, minute, second);
+    return wallClock - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+// Convert a wall-clock time in a timezone to a UTC Date, accounting for DST
+function zonedTimeToUtc(year, month, day, hour, minute, second, timezone) {
+    const wallClock = Date.UTC(year, month - 1, day, hour, minute, second);
+    const offset = getTimezoneOffset(timezone, new Date(wallClock));
+    const utc = wallClock - offset;
+    // The offset may differ on the other side of a DST change
+    const correctedOffset = getTimezoneOffset(timezone, new Date(utc));
+    return new Date(wallClock - correctedOffset);
+}
+
+// Format a Date the way SQLite's CURRENT_TIMESTAMP stores it
+function toSqliteDateTime(date) {
+    return date.toISOString().slice(0, 19).replace('T', ' ');
+}
+
+// Start of the day an instant falls on, in a timezone
+function startOfLocalDay(date, timezone) {
+    const { year, month, day } = getWallClock(timezone, date);
+    return zonedTimeToUtc(year, month, day, 0, 0, 0, timezone);
+}
+
+// Offsets change at most a few times a year, so weekly samples find every change
+const OFFSET_SAMPLE_MS = 7 * DAY_MS;
+const offsetPeriodCache = new Map();
+
+/**
+ * UTC offsets of a timezone between two instants: the offset at `from`, then one entry per
+ * change (DST switch) up to `to`. Changes are found by sampling and bisecting to the second.
+ * @param {string} timezone
+ * @param {Date} from
+ * @param {Date} to
+ * @returns {{ from: Date, offset: number }[]} offsets in milliseconds
+ */
+function getOffsetPeriods(timezone, from, to) {
+    // Widened to whole days so ranges ending "now" share a cache entry
+    const fromTime = Math.floor(from.getTime() / DAY_MS) * DAY_MS;
+    const toTime = Math.ceil(to.getTime() / DAY_MS) * DAY_MS;
+    const key = `${timezone}|${fromTime}|${toTime}`;
+    if (offsetPeriodCache.has(key)) {
+        return offsetPeriodCache.get(key);
+    }
+
+    const offsetAt = time => getTimezoneOffset(timezone, new Date(time));
+    let previousTime = fromTime;
+    let previousOffset = offsetAt(fromTime);
+    const periods = [{ from: new Date(fromTime), offset: previousOffset }];
+    while (previousTime < toTime) {
+        const time = Math.min(previousTime + OFFSET_SAMPLE_MS, toTime);
+        const offset = offsetAt(time);
+        if (offset !== previousOffset) {
+            let low = previousTime;
+            let high = time;
+            while (high - low > 1000) {
+                const middle = low + Math.floor((high - low) / 2000) * 1000;
+                if (offsetAt(middle) === previousOffset) {
+                    low = middle;
+                } else {
+                    high = middle;
+                }
+            }
+            periods.push({ from: new Date(high), offset });
+            previousOffset = offset;
+        }
+        previousTime = time;
+    }
+
+    if (offsetPeriodCache.size > 100) {
+        offsetPeriodCache.clear();
+    }
+    offsetPeriodCache.set(key, periods);
+    return periods;
+}
+
+/**
+ * SQL converting a UTC timestamp column to wall-clock time in a timezone, switching offsets
+ * at each DST change between `from` and `to`.
+ * @param {string} column
+ * @param {string} timezone
+ * @param {Date} from
+ * @param {Date} to
+ * @returns {string}
+ */
+function localTimeSql(column, timezone, from, to) {
+    const periods = getOffsetPeriods(timezone, from, to);
+    const shift = offset => `datetime(${column}, '${offset < 0 ? '-' : '+'}${Math.abs(offset) / 1000} seconds')`;
+    if (periods.length === 1) {
+        return periods[0].offset === 0 ? column : shift(periods[0].offset);
+    }
+    // Latest change first, as most rows are recent
+    const changes = periods.slice(1).reverse()
+        .map(period => `WHEN ${column} >= '${toSqliteDateTime(period.from)}' THEN ${shift(period.offset)}`);
+    return `(CASE ${changes.join(' ')} ELSE ${shift(periods[0].offset)} END)`;
+}
+
+// Time series intervals: the SQL label of the bucket a wall-clock time falls in, and the same
+// label for wall-clock fields. Weeks start on Monday.
+const INTERVALS = {
+    hour: {
+        sql: local => `strftime('%Y-%m-%d %H:00', ${local})`,
+        label: date => `${date.toISOString().slice(0, 13).replace('T', ' ')}:00`
+    },
+    day: {
+        sql: local => `date(${local})`,
+        label: date => date.toISOString().slice(0, 10)
+    },
+    week: {
+        sql: local => `date(${local}, '-6 days', 'weekday 1')`,
+        label: date => new Date(date.getTime() - ((date.getUTCDay() + 6) % 7) * DAY_MS).toISOString().slice(0, 10)
+    },
+    month: {
+        sql: local => `strftime('%Y-%m', ${local})`,
+        label: date => date.toISOString().slice(0, 7)
+    }
+};
+
+/**
+ * Labels of the buckets of `interval` between two instants, in a timezone. Hours that a DST
+ * change skips are left out and repeated hours appear once.
+ * @param {Date} from
+ * @param {Date} to
+ * @param {string} interval one of INTERVALS
+ * @param {string} timezone
+ * @param {number} max stop after this many buckets
+ * @returns {string[]}
+ */
+function listBuckets(from, to, interval, timezone, max) {
+    const { label } = INTERVALS[interval];
+    // Wall-clock time written as a UTC date, so calendar steps ignore offsets
+    const wallClock = date => {
+        const { year, month, day, hour, minute, second } = getWallClock(timezone, date);
+        return new Date(Date.UTC(year, month - 1, day, hour, minute, second));
+    };
+    const buckets = [];
+    const add = date => {
+        const bucket = label(date);
+        if (buckets[buckets.length - 1] !== bucket) {
+            buckets.push(bucket);
+        }
+    };
+
+    if (interval === 'hour') {
+        for (let time = Math.floor(from.getTime() / HOUR_MS) * HOUR_MS; time <= to.getTime() && buckets.length <= max; time += HOUR_MS) {
+            add(wallClock(new Date(time)));
+        }
+        return buckets;
+    }
+    const end = wallClock(to);
+    for (let date = wallClock(from); date <= end && buckets.length <= max; date.setUTCDate(date.getUTCDate() + 1)) {
+        add(date);
+    }
+    add(end);
+    return buckets;
+}
+
+/**
+ * Parse a startDate/endDate value. Dates without a time cover the whole day; values
+ * without an explicit offset are read as wall-clock time in the given timezone.
+ * @param {string} value
+ * @param {string} name parameter name used in error messages
+ * @param {string} timezone IANA timezone name
+ * @param {boolean} endOfDay use the last second of the day for date-only values
+ * @returns {Date}
+ */
+function parseDate(value, name, timezone, endOfDay) {
+    const match = typeof value === 'string' ? value.match(DATE_PATTERN) : null;
+    if (!match) {
+        throw new ValidationError(`${name} must be a date (YYYY-MM-DD) or ISO 8601 date-time`);
+    }
+
+    const [, year, month, day, hour, minute, second, offset] = match;
+    const calendarDate = new Date(Date.UTC(year, month - 1, day));
+    if (calendarDate.getUTCFullYear() !== Number(year) ||
+        calendarDate.getUTCMonth() !== Number(month) - 1 ||
+        calendarDate.getUTCDate() !== Number(day)) {
+        throw new ValidationError(`${name} is not a valid calendar date`);
+    }
+    if (hour !== undefined && (Number(hour) > 23 || Number(minute) > 59 || Number(second || 0) > 59)) {
+        throw new ValidationError(`${name} has an invalid time`);
+    }
+
+    if (offset) {
+        return new Date(value.replace(' ', 'T'));
+    }
+    if (hour === undefined) {
+        return endOfDay
+            ? zonedTimeToUtc(year, month, day, 23, 59, 59, timezone)
+            : zonedTimeToUtc(year, month, day, 0, 0, 0, timezone);
+    }
+    return zonedTimeToUtc(year, month, day, hour, minute, second || 0, timezone);
+}
+
+/**
+ * Why a regex filter could backtrack for too long, or null if it is in the safe subset:
+ * no backreferences or lookarounds, no quantified group containing a quantifier or an
+ * alternation (such as "(a+)+" or "(a|aa)*"), and at most MAX_REGEX_UNBOUNDED unbounded
+ * quantifiers. REGEXP runs on the event loop for every row scanned, so one catastrophic
+ * pattern would stall ingestion for every site.
+ * @param {string} pattern a valid JavaScript regex
+ * @returns {string|null}
+ */
+function getUnsafeRegexReason(pattern) {
+    const groups = [{ quantified: false, alternation: false }];
+    let unbounded = 0;
+
+    // The quantifier starting at index, if any: its length and whether it is unbounded
+    const quantifierAt = index => {
+        const char = pattern[index];
+        if (char === '*' || char === '+' || char === '?') {
+            return { length: 1, unbounded: char !== '?' };
+        }
+        const range = char === '{' && pattern.slice(index).match(/^\{\d+(,\d*)?\}/);
+        return range ? { length: range[0].length, unbounded: range[1] === ',' } : null;
+    };
+    const quantify = (index, group) => {
+        const quantifier = quantifierAt(index);
+        if (!quantifier) {
+            return index;
+        }
+        if (group && (group.quantified || group.alternation)) {
+            return -1;
+        }
+        groups[groups.length - 1].quantified = true;
+        unbounded += quantifier.unbounded ? 1 : 0;
+        // Lazy quantifiers ("*?") are still one quantifier
+        return index + quantifier.length + (pattern[index + quantifier.length] === '?' ? 1 : 0);
+    };
+
+    for (let index = 0; index < pattern.length;) {
+        const char = pattern[index];
+        let next = index + 1;
+        let group = null;
+        if (char === '\\') {
+            if (/[1-9]/.test(pattern[next]) || pattern.startsWith('k<', next)) {
+                return 'backreferences are not supported';
+            }
+            next++;
+        } else if (char === '[') {
+            // Skip the character class
+            while (next < pattern.length && pattern[next] !== ']') {
+                next += pattern[next] === '\\' ? 2 : 1;
+            }
+            next++;
+        } else if (char === '(') {
+            if (/^\?(=|!|<=|<!)/.test(pattern.slice(next))) {
+                return 'lookarounds are not supported';
+            }
+            groups.push({ quantified: false, alternation: false });
+            index = next;
+            continue;
+        } else if (char === ')') {
+            group = groups.pop();
+            const parent = groups[groups.length - 1];
+            parent.quantified = parent.quantified || group.quantified;
+            parent.alternation = parent.alternation || group.alternation;
+        } else if (char === '|') {
+            groups[groups.length - 1].alternation = true;
+            index = next;
+            continue;
+        }
+        index = quantify(next, group);
+        if (index === -1) {
+            return 'a repeated group may not contain a quantifier or an alternation';
+        }
+        if (unbounded > MAX_REGEX_UNBOUNDED) {
+            return `at most ${MAX_REGEX_UNBOUNDED} unbounded quantifiers (*, +, {n,}) are allowed`;
+        }
+    }
+    return null;
+}
+
+/**
+ * Parse a filters parameter such as "country==DE;device==mobile;page=@/blog".
+ * Conditions are separated by ";" (escape a literal one as "\;") and combined with AND.
+ * @param {string|string[]|undefined} value one or more filters parameters
+ * @returns {{ dimension: string, operator: string, value: string }[]}
+ * @throws {ValidationError}
+ */
+function parseFilters(value) {
+    if (value === undefined || value === '') {
+        return [];
+    }
+    const values = Array.isArray(value) ? value : [value];
+    if (values.some(item => typeof item !== 'string')) {
+        throw new ValidationError('filters must be a string like "country==DE;device==mobile"');
+    }
+
+    const expressions = values
+        .flatMap(item => item.split(/(?<!\\);/))
+        .map(expression => expression.trim())
+        .filter(expression => expression !== '');
+    if (expressions.length > MAX_FILTERS) {
+        throw new ValidationError(`At most ${MAX_FILTERS} filters are allowed`);
+    }
+
+    return expressions.map(expression => {
+        const match = expression.match(FILTER_PATTERN);
+        if (!match) {
+            throw new ValidationError(`Invalid filter "${expression}". Use <dimension><operator><value> with one of: ${OPERATORS.join(' ')}`);
+        }
+        const [, dimension, operator, rawValue] = match;
+        if (!DIMENSIONS[dimension]) {
+            throw new ValidationError(`Unknown filter dimension "${dimension}". Use one of: ${Object.keys(DIMENSIONS).join(', ')}`);
+        }
+        const filterValue = rawValue.replace(/\\;/g, ';');
+        if (operator === '=~' || operator === '!~') {
+            if (filterValue.length > MAX_REGEX_LENGTH) {
+                throw new ValidationError(`Regex filters may be at most ${MAX_REGEX_LENGTH} characters`);
+            }
+            try {
+                new RegExp(filterValue);
+            } catch (err) {
+                throw new ValidationError(`Invalid regex in filter "${expression}": ${err.message}`);
+            }
+            const unsafe = getUnsafeRegexReason(filterValue);
+            if (unsafe) {
+                throw new ValidationError(`Regex in filter "${expression}" is not allowed: ${unsafe}`);
+            }
+        }
+        return { dimension, operator, value: filterValue };
+    });
+}
+
+// Positive condition comparing an expression with a bound parameter
+function compare(expression, operator, param) {
+    if (operator === '==') {
+        return `${expression} = ${param}`;
+    }
+    if (operator === '=@') {
+        return `instr(lower(${expression}), lower(${param})) > 0`;
+    }
+    return `${expression} REGEXP ${param}`;
+}
+
+/**
+ * Validated report parameters. Conditions reference the @start and @end named
+ * parameters, so queries bind `params` rather than interpolating values.
+ */
+class StatsQuery {
+    constructor({ start, end, period, timezone, includeBots, filters = [], siteId = null, useRollups = true }) {
+        this.siteId = siteId;
+        this.start = start;
+        this.end = end;
+        this.period = period;
+        this.timezone = timezone;
+        this.includeBots = includeBots;
+        this.filters = filters;
+        this.useRollups = useRollups;
+    }
+
+    get params() {
+        const params = {
+            siteId: this.siteId,
+            start: this.start ? toSqliteDateTime(this.start) : null,
+            end: this.end ? toSqliteDateTime(this.end) : null
+        };
+        this.filters.forEach((filter, index) => {
+            params[`filter${index}`] = filter.value;
+        });
+        return params;
+    }
+
+    // Time range condition on a timestamp column. The column is compared directly
+    // so its index can be used.
+    time(column) {
+        let sql = '';
+        if (this.start) {
+            sql += ` AND ${column} >= @start`;
+        }
+        if (this.end) {
+            sql += ` AND ${column} <= @end`;
+        }
+        return sql;
+    }
+
+    /**
+     * SQL converting a UTC timestamp column to wall-clock time in the report's timezone.
+     * `from` and `to` bound the column's values, for finding the DST changes between them;
+     * they default to the report range, from the beginning of time up to now.
+     * @param {string} column
+     * @param {Date|null} [from]
+     * @param {Date|null} [to]
+     * @returns {string}
+     */
+    localTime(column, from = this.start, to = this.end) {
+        return localTimeSql(column, this.timezone, from || new Date(0), to || new Date());
+    }
+
+    // Start of the current day in the report's timezone
+    startOfToday() {
+        return startOfLocalDay(new Date(), this.timezone);
+    }
+
+    // Exclude visitors classified as bots unless the request asks for them
+    bots(column = 'visitor_id') {
+        if (this.includeBots) {
+            return '';
+        }
+        return ` AND ${column} NOT IN (SELECT visitor_id FROM visitors WHERE is_bot = 1)`;
+    }
+
+    // Condition for one dimension filter on a report table. Filters on another table are
+    // linked through session_id where both tables have one, otherwise through visitor_id.
+    // Negated filters on another table exclude every session/visitor that matches.
+    filter(index, table, prefix) {
+        const { dimension, operator } = this.filters[index];
+        const ownColumn = TABLES[table].dimensions?.[dimension];
+        const { table: dimensionTable, column } = ownColumn ? { table, column: ownColumn } : DIMENSIONS[dimension];
+        const positiveOperator = NEGATED_OPERATORS[operator] || operator;
+        const negated = positiveOperator !== operator;
+        const param = `@filter${index}`;
+
+        if (dimensionTable === table) {
+            const condition = compare(column(prefix), positiveOperator, param);
+            return negated ? `(${column(prefix)} IS NULL OR NOT ${condition})` : condition;
+        }
+
+        const key = TABLES[table].hasSession && TABLES[dimensionTable].hasSession ? 'session_id' : 'visitor_id';
+        return `${prefix}${key} ${negated ? 'NOT IN' : 'IN'} (
+                SELECT ${key} FROM ${dimensionTable} WHERE ${compare(column(''), positiveOperator, param)}
+            )`;
+    }
+
+    /**
+     * Site, time range, bot and dimension filter conditions for a query over one table.
+     * @param {string} table one of sessions, page_views, events, web_vitals, visitor_details, visitors
+     * @param {{ alias?: string, time?: boolean }} [options] table alias used in the query;
+     *        time: false for reports with their own fixed window
+     * @returns {string} SQL starting with " AND", or an empty string
+     */
+    where(table, { alias, time = true } = {}) {
+        const prefix = alias ? `${alias}.` : '';
+        let sql = this.siteId ? ` AND ${prefix}site_id = @siteId` : '';
+
+        if (time && TABLES[table].time) {
+            sql += this.time(prefix + TABLES[table].time);
+        } else if (time && (this.start || this.end)) {
+            sql += ` AND ${prefix}visitor_id IN (SELECT visitor_id FROM sessions WHERE 1=1${this.time('started_at')})`;
+        }
+        sql += this.bots(`${prefix}visitor_id`);
+        this.filters.forEach((filter, index) => {
+            sql += ` AND ${this.filter(index, table, prefix)}`;
+        });
+        return sql;
+    }
+}
+
+/**
+ * Validate report query parameters.
+ * @param {object} query Express req.query
+ * @param {{ period?: string, timezone?: string, siteId?: number|null }} [defaults] siteId scopes
+ *        every condition to one site; timezone is the site's own
+ * @returns {StatsQuery}
+ * @throws {ValidationError}
+ */
+function parseStatsQuery(query, defaults = {}) {
+    const timezone = query.timezone || defaults.timezone || 'UTC';
+    const siteId = defaults.siteId || null;
+    if (!isValidTimezone(timezone)) {
+        throw new ValidationError(`Unknown timezone: ${timezone}`);
+    }
+
+    if (query.includeBots !== undefined && !['true', 'false', '1', '0'].includes(query.includeBots)) {
+        throw new ValidationError('includeBots must be true or false');
+    }
+    const includeBots = query.includeBots === 'true' || query.includeBots === '1';
+    const filters = parseFilters(query.filters);
+
+    if (query.rollups !== undefined && !['true', 'false'].includes(query.rollups)) {
+        throw new ValidationError('rollups must be true or false');
+    }
+    const useRollups = query.rollups !== 'false';
+
+    if (query.startDate || query.endDate) {
+        if (!query.startDate || !query.endDate) {
+            throw new ValidationError('startDate and endDate must be given together');
+        }
+        const start = parseDate(query.startDate, 'startDate', timezone, false);
+        const end = parseDate(query.endDate, 'endDate', timezone, true);
+        if (start > end) {
+            throw new ValidationError('startDate must not be after endDate');
+        }
+        return new StatsQuery({ start, end, period: 'custom', timezone, includeBots, filters, siteId, useRollups });
+    }
+
+    const period = query.period || defaults.period || '24h';
+    if (!Object.prototype.hasOwnProperty.call(PERIODS, period)) {
+        throw new ValidationError(`period must be one of: ${Object.keys(PERIODS).join(', ')}`);
+    }
+    const start = PERIODS[period] === null ? null : new Date(Date.now() - PERIODS[period]);
+    return new StatsQuery({ start, end: null, period, timezone, includeBots, filters, siteId, useRollups });
+}
+
+/**
+ * Validate a positive integer limit parameter.
+ * @param {string|undefined} value
+ * @param {number} defaultValue
+ * @param {number} max
+ * @param {string} [name] parameter name used in error messages
+ * @returns {number}
+ * @throws {ValidationError}
+ */
+function parseLimit(value, defaultValue, max, name = 'limit') {
+    if (value === undefined) {
+        return defaultValue;
+    }
+    const limit = Number(value);
+    if (!Number.isInteger(limit) || limit < 1 || limit > max) {
+        throw new ValidationError(`${name} must be an integer between 1 and ${max}`);
+    }
+    return limit;
+}
+
+// Compiled patterns for the REGEXP function, keyed by source
+const regexCache = new Map();
+
+/**
+ * Register SQL functions the query builder relies on (REGEXP) on a connection.
+ * @param {import('better-sqlite3').Database} db
+ */
+function registerSqlFunctions(db) {
+    db.function('regexp', { deterministic: true }, (pattern, value) => {
+        if (value === null || value === undefined) {
+            return 0;
+        }
+        let regex = regexCache.get(pattern);
+        if (!regex) {
+            regex = new RegExp(pattern);
+            if (regexCache.size > 500) {
+                regexCache.clear();
+            }
+            regexCache.set(pattern, regex);
+        }
+        return regex.test(String(value)) ? 1 : 0;
+    });
+}
+
+module.exports = {
+    INTERVALS,
+    StatsQuery,
+    parseStatsQuery,
+    parseFilters,
+    parseLimit,
+    referrerSource,
+    registerSqlFunctions,
+    parseDate,
+    isValidTimezone,
+    zonedTimeToUtc,
+    getWallClock,
+    getTimezoneOffset,
+    startOfLocalDay,
+    localTimeSql,
+    listBuckets,
+    toSqliteDateTime
+};
@@ -0,0 +1,266 @@
+/**
+ * Retention
+ * Deletes raw rows once they are older than their table's retention period, optionally
+ * archiving them to gzipped NDJSON first, and hands the freed space back to the file system
+ */
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { toSqliteDateTime } = require('./query');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Tables with a retention period and the column their rows' age is read from
+const RETENTION_TABLES = {
+    page_views: 'viewed_at',
+    events: 'created_at',
+    web_vitals: 'created_at',
+    sessions: 'started_at'
+};
+
+// Rows that reference a session, deleted with it
+const SESSION_CHILDREN = ['page_views', 'events', 'web_vitals'];
+
+// Rows of a visitor, deleted with it once the visitor has no session left
+const VISITOR_CHILDREN = ['visitor_details'];
+
+// Tables whose row counts the status reports
+const REPORTED_TABLES = ['sessions', 'page_views', 'events', 'web_vitals', 'visitors', 'visitor_details', 'rollups'];
+
+// Rows deleted per statement. Queued hits are written between batches.
+const PRUNE_BATCH_SIZE = 1000;
+// Free pages truncated from the file per incremental vacuum step
+const VACUUM_STEP_PAGES = 1000;
+
+const AUTO_VACUUM_MODES = ['none', 'full', 'incremental'];
+
+/**
+ * Retention periods from RETENTION_PAGE_VIEWS_DAYS, RETENTION_EVENTS_DAYS,
+ * RETENTION_WEB_VITALS_DAYS and RETENTION_SESSIONS_DAYS. Tables without one keep their rows forever.
+ * @param {object} [env]
+ * @returns {object} table -> days
+ * @throws {Error} when a period isn't a positive whole number of days
+ */
+function getRetentionPolicies(env = process.env) {
+    const policies = {};
+    for (const table of Object.keys(RETENTION_TABLES)) {
+        const name = `RETENTION_${table.toUpperCase()}_DAYS`;
+        if (!env[name]) {
+            continue;
+        }
+        const days = Number(env[name]);
+        if (!Number.isInteger(days) || days < 1) {
+            throw new Error(`${name} must be a positive whole number of days`);
+        }
+        policies[table] = days;
+    }
+    return policies;
+}
+
+function nextTurn() {
+    return new Promise(resolve => setImmediate(resolve));
+}
+
+/**
+ * Retention job. Each run deletes expired rows in batches, yielding between them, and the
+ * visitors left without sessions, then runs incremental vacuum on databases created with
+ * auto_vacuum=INCREMENTAL. Rows that aren't rolled up yet are kept whatever their age, so
+ * rollups still count them.
+ * @param {import('better-sqlite3').Database} db
+ * @param {{ policies: object, archiveDir?: string|null, intervalMs: number, startDelayMs: number,
+ *           rolledUntil: Function }} options rolledUntil returns the end of the rolled-up range
+ */
+function createRetention(db, { policies, archiveDir = null, intervalMs, startDelayMs, rolledUntil }) {
+    let running = null;
+    let lastPrune = null;
+    let nextPruneAt = null;
+
+    function getCutoff(days) {
+        const rolled = rolledUntil();
+        if (!rolled) {
+            return null;
+        }
+        const cutoff = new Date(Date.now() - days * DAY_MS);
+        return cutoff < rolled ? cutoff : rolled;
+    }
+
+    // Each batch is a gzip member of its own; gunzip reads the file as one stream
+    function archive(table, rows, day) {
+        fs.mkdirSync(archiveDir, { recursive: true });
+        const data = rows.map(row => `${JSON.stringify(row)}\n`).join('');
+        fs.appendFileSync(path.join(archiveDir, `${table}-${day}.ndjson.gz`), zlib.gzipSync(data));
+    }
+
+    // Delete (and archive) rows matching a condition, adding them to the run's counts
+    function remove(table, condition, params, deleted, day) {
+        if (archiveDir) {
+            const rows = db.prepare(`SELECT * FROM ${table} WHERE ${condition} ORDER BY id`).all(...params);
+            if (rows.length > 0) {
+                archive(table, rows, day);
+            }
+        }
+        const count = db.prepare(`DELETE FROM ${table} WHERE ${condition}`).run(...params).changes;
+        deleted[table] = (deleted[table] || 0) + count;
+        return count;
+    }
+
+    // A batch of expired rows, and for sessions their page views, events and Web Vitals, which
+    // foreign keys don't let outlive them
+    const removeBatch = db.transaction((table, last, cutoff, deleted, day) => {
+        const condition = `id <= ? AND ${RETENTION_TABLES[table]} < ?`;
+        if (table === 'sessions') {
+            const sessionIds = `session_id IN (SELECT session_id FROM sessions WHERE ${condition})`;
+            for (const child of SESSION_CHILDREN) {
+                remove(child, sessionIds, [last, cutoff], deleted, day);
+            }
+        }
+        return remove(table, condition, [last, cutoff], deleted, day);
+    });
+
+    // A batch of visitors last seen before the cutoff whose sessions are all pruned, with their
+    // details, so user agents and locations don't outlive the sessions
+    const removeVisitorBatch = db.transaction((cutoff, deleted, day) => {
+        const ids = db.prepare(`
+            SELECT visitor_id FROM visitors v
+            WHERE last_seen < ? AND NOT EXISTS (SELECT 1 FROM sessions s WHERE s.visitor_id = v.visitor_id)
+            ORDER BY id
+            LIMIT ${PRUNE_BATCH_SIZE}
+        `).pluck().all(cutoff);
+        if (ids.length === 0) {
+            return 0;
+        }
+        const condition = `visitor_id IN (${ids.map(() => '?').join(', ')})`;
+        for (const child of VISITOR_CHILDREN) {
+            remove(child, condition, ids, deleted, day);
+        }
+        return remove('visitors', condition, ids, deleted, day);
+    });
+
+    async function pruneVisitors(cutoff, deleted, day) {
+        deleted.visitors = deleted.visitors || 0;
+        while (removeVisitorBatch(cutoff, deleted, day) > 0) {
+            await nextTurn();
+        }
+    }
+
+    async function pruneTable(table, cutoff, deleted, day) {
+        const time = RETENTION_TABLES[table];
+        // The batch is every expired row up to the last of the oldest ids
+        const lastOfBatch = db.prepare(`
+            SELECT MAX(id) as id FROM (SELECT id FROM ${table} WHERE ${time} < ? ORDER BY id LIMIT ${PRUNE_BATCH_SIZE})
+        `);
+        deleted[table] = deleted[table] || 0;
+        for (;;) {
+            const last = lastOfBatch.get(cutoff).id;
+            if (last === null || removeBatch(table, last, cutoff, deleted, day) === 0) {
+                return;
+            }
+            await nextTurn();
+        }
+    }
+
+    // Bytes returned to the file system
+    async function vacuum() {
+        if (db.pragma('auto_vacuum', { simple: true }) !== 2) {
+            return 0;
+        }
+        const pageSize = db.pragma('page_size', { simple: true });
+        let freed = 0;
+        let free = db.pragma('freelist_count', { simple: true });
+        while (free > 0) {
+            db.exec(`PRAGMA incremental_vacuum(${VACUUM_STEP_PAGES})`);
+            const remaining = db.pragma('freelist_count', { simple: true });
+            if (remaining >= free) {
+                break;
+            }
+            freed += (free - remaining) * pageSize;
+            free = remaining;
+            await nextTurn();
+        }
+        return freed;
+    }
+
+    async function run() {
+        const startedAt = new Date();
+        const result = { startedAt: startedAt.toISOString(), finishedAt: null, deleted: {}, freedBytes: 0, error: null };
+        lastPrune = result;
+        try {
+            const day = result.startedAt.slice(0, 10);
+            for (const [table, days] of Object.entries(policies)) {
+                const cutoff = getCutoff(days);
+                if (cutoff) {
+                    await pruneTable(table, toSqliteDateTime(cutoff), result.deleted, day);
+                }
+            }
+            const sessionsCutoff = policies.sessions && getCutoff(policies.sessions);
+            if (sessionsCutoff) {
+                await pruneVisitors(toSqliteDateTime(sessionsCutoff), result.deleted, day);
+            }
+            result.freedBytes = await vacuum();
+        } catch (err) {
+            result.error = err.message;
+            console.error('Retention prune error:', err);
+        }
+        result.finishedAt = new Date().toISOString();
+        return result;
+    }
+
+    /**
+     * Prune now. A prune that is already running is joined rather than started again.
+     * @returns {Promise<object>} what the run deleted and freed
+     */
+    function prune() {
+        if (!running) {
+            running = run().finally(() => {
+                running = null;
+            });
+        }
+        return running;
+    }
+
+    function schedule(delayMs) {
+        nextPruneAt = new Date(Date.now() + delayMs);
+        setTimeout(() => {
+            nextPruneAt = null;
+            prune().then(() => schedule(intervalMs));
+        }, delayMs).unref();
+    }
+
+    // Schedule runs, if any table has a retention period
+    function start() {
+        if (Object.keys(policies).length > 0) {
+            schedule(startDelayMs);
+        }
+    }
+
+    /**
+     * Retention periods, table sizes, database file usage and the last and next runs.
+     * @returns {object}
+     */
+    function status() {
+        const tables = {};
+        for (const table of REPORTED_TABLES) {
+            const time = RETENTION_TABLES[table];
+            tables[table] = db.prepare(`SELECT COUNT(*) as rows${time ? `, MIN(${time}) as oldest` : ''} FROM ${table}`).get();
+        }
+        const pageSize = db.pragma('page_size', { simple: true });
+        return {
+            policies: Object.fromEntries(Object.keys(RETENTION_TABLES).map(table => [table, policies[table] || null])),
+            archiveDir,
+            tables,
+            database: {
+                bytes: db.pragma('page_count', { simple: true }) * pageSize,
+                freeBytes: db.pragma('freelist_count', { simple: true }) * pageSize,
+                autoVacuum: AUTO_VACUUM_MODES[db.pragma('auto_vacuum', { simple: true })]
+            },
+            running: running !== null,
+            lastPrune,
+            nextPruneAt: nextPruneAt ? nextPruneAt.toISOString() : null
+        };
+    }
+
+    return { start, prune, status };
+}
+
+module.exports = { RETENTION_TABLES, getRetentionPolicies, createRetention };
@@ -0,0 +1,326 @@
+/**
+ * Rollups
+ * Hourly and daily aggregates per site and dimension, and a reader that combines them with
+ * raw rows for the parts of a range that aren't rolled up yet
+ */
+
+const { referrerSource, toSqliteDateTime } = require('./query');
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// Hours are rolled up this long after they end, so in-flight hits are counted
+const ROLLUP_DELAY_MS = 5 * 60 * 1000;
+// Buckets rolled up per run, so a backfill doesn't block the event loop
+const ROLLUP_BATCH_SIZE = 24;
+
+// Start of the rolled-up range when a report has no lower bound
+const BEGINNING = new Date(0);
+
+const TIME_COLUMNS = { sessions: 'started_at', page_views: 'viewed_at' };
+
+const METRICS = {
+    sessions: 'COUNT(DISTINCT visitor_id) as visitors, COUNT(*) as sessions, COALESCE(SUM(page_views), 0) as page_views',
+    page_views: 'COUNT(DISTINCT visitor_id) as visitors, COUNT(DISTINCT session_id) as sessions, COUNT(*) as page_views'
+};
+
+// A column of the session's visitor_details row
+function visitorDetail(column) {
+    return `(SELECT ${column} FROM visitor_details d WHERE d.visitor_id = sessions.visitor_id)`;
+}
+
+// Rolled-up dimensions: the table counted and the value grouped by. Page rows count page
+// views; every other dimension counts sessions by their start time.
+const ROLLUP_DIMENSIONS = {
+    total: { table: 'sessions', value: "''" },
+    page: { table: 'page_views', value: 'page_path' },
+    entry_page: { table: 'sessions', value: 'landing_page' },
+    source: { table: 'sessions', value: referrerSource('referrer_domain') },
+    utm_source: { table: 'sessions', value: 'utm_source' },
+    utm_medium: { table: 'sessions', value: 'utm_medium' },
+    utm_campaign: { table: 'sessions', value: 'utm_campaign' },
+    country: { table: 'sessions', value: visitorDetail('country') },
+    device: { table: 'sessions', value: visitorDetail('device_type') },
+    browser: { table: 'sessions', value: visitorDetail('browser') }
+};
+
+const ORDER_BY = ['visitors', 'sessions', 'page_views'];
+
+const GRANULARITIES = ['hour', 'day'];
+const BUCKET_START = {
+    hour: time => `strftime('%Y-%m-%d %H:00:00', ${time})`,
+    day: time => `date(${time}) || ' 00:00:00'`
+};
+
+// Rows of imports that haven't completed are rolled up when they complete
+const COMPLETED_ROWS = "(import_id IS NULL OR import_id IN (SELECT id FROM imports WHERE status = 'completed'))";
+
+function floorTo(date, size) {
+    return new Date(Math.floor(date.getTime() / size) * size);
+}
+
+function ceilTo(date, size) {
+    return new Date(Math.ceil(date.getTime() / size) * size);
+}
+
+function parseDateTime(value) {
+    return new Date(`${value.replace(' ', 'T')}Z`);
+}
+
+// Whether rollups can answer a report: they hold neither bot traffic nor the rows needed
+// for dimension filters
+function canUseRollups(statsQuery) {
+    return statsQuery.useRollups && !statsQuery.includeBots && statsQuery.filters.length === 0;
+}
+
+/**
+ * Rollups backed by the rollups and rollup_state tables.
+ * @param {import('better-sqlite3').Database} db
+ */
+function createRollups(db) {
+    function getRolledUntil(granularity) {
+        const row = db.prepare('SELECT rolled_until FROM rollup_state WHERE granularity = ?').get(granularity);
+        return row ? parseDateTime(row.rolled_until) : null;
+    }
+
+    function setRolledUntil(granularity, date) {
+        db.prepare(`
+            INSERT INTO rollup_state (granularity, rolled_until) VALUES (?, ?)
+            ON CONFLICT (granularity) DO UPDATE SET rolled_until = excluded.rolled_until
+        `).run(granularity, toSqliteDateTime(date));
+    }
+
+    // Replace the rows of one bucket, aggregated from raw rows, excluding bots
+    const rollUpBucket = db.transaction((granularity, from, to) => {
+        const params = { granularity, bucket: toSqliteDateTime(from), from: toSqliteDateTime(from), to: toSqliteDateTime(to) };
+        db.prepare('DELETE FROM rollups WHERE granularity = @granularity AND bucket = @bucket').run(params);
+        for (const [dimension, { table, value }] of Object.entries(ROLLUP_DIMENSIONS)) {
+            const time = TIME_COLUMNS[table];
+            db.prepare(`
+                INSERT INTO rollups (granularity, bucket, site_id, dimension, value, visitors, sessions, page_views)
+                SELECT @granularity, @bucket, site_id, '${dimension}', COALESCE(${value}, '') as value, ${METRICS[table]}
+                FROM ${table}
+                WHERE ${time} >= @from AND ${time} < @to
+                AND visitor_id NOT IN (SELECT visitor_id FROM visitors WHERE is_bot = 1)
+                AND ${COMPLETED_ROWS}
+                GROUP BY site_id, value
+            `).run(params);
+        }
+        setRolledUntil(granularity, to);
+    });
+
+    /**
+     * Roll up complete hours, then days whose hours are all rolled up. Runs in batches and
+     * reschedules itself until it has caught up.
+     */
+    function rollUp() {
+        const completeUntil = floorTo(new Date(Date.now() - ROLLUP_DELAY_MS), HOUR_MS);
+        let hour = getRolledUntil('hour');
+        let day = getRolledUntil('day');
+
+        if (!hour) {
+            const earliest = db.prepare('SELECT MIN(started_at) as started_at FROM sessions').get().started_at;
+            hour = earliest ? floorTo(parseDateTime(earliest), DAY_MS) : floorTo(completeUntil, DAY_MS);
+            day = hour;
+            setRolledUntil('hour', hour);
+            setRolledUntil('day', day);
+        }
+
+        let buckets = 0;
+        while (hour < completeUntil && buckets < ROLLUP_BATCH_SIZE) {
+            const next = new Date(hour.getTime() + HOUR_MS);
+            rollUpBucket('hour', hour, next);
+            hour = next;
+            buckets++;
+        }
+        while (day.getTime() + DAY_MS <= hour.getTime() && buckets < ROLLUP_BATCH_SIZE) {
+            const next = new Date(day.getTime() + DAY_MS);
+            rollUpBucket('day', day, next);
+            day = next;
+            buckets++;
+        }
+
+        if (buckets === ROLLUP_BATCH_SIZE) {
+            setImmediate(rollUp);
+        }
+    }
+
+    // Hour- and day-aligned parts of [start, end) that are rolled up, or null if none is
+    function getCoverage(start, end, bucket) {
+        const hourRolledUntil = getRolledUntil('hour');
+        if (!hourRolledUntil) {
+            return null;
+        }
+        const from = start ? ceilTo(start, HOUR_MS) : BEGINNING;
+        const to = new Date(Math.min(floorTo(end || new Date(), HOUR_MS).getTime(), hourRolledUntil.getTime()));
+        if (from >= to) {
+            return null;
+        }
+
+        // Day rows only when results aren't grouped by hour
+        let dayFrom = to;
+        let dayTo = to;
+        const dayRolledUntil = getRolledUntil('day');
+        if (bucket !== 'hour' && dayRolledUntil) {
+            const firstDay = ceilTo(from, DAY_MS);
+            const lastDay = new Date(Math.min(floorTo(to, DAY_MS).getTime(), dayRolledUntil.getTime()));
+            if (firstDay < lastDay) {
+                dayFrom = firstDay;
+                dayTo = lastDay;
+            }
+        }
+        return { from, to, dayFrom, dayTo };
+    }
+
+    /**
+     * Visitors, sessions and page views per value of a dimension over a report's range.
+     * Rolled-up days and hours are read from rollups and the rest from raw rows. Reports
+     * with filters, includeBots or rollups=false, and bucketed reports in a timezone other
+     * than UTC, read raw rows only.
+     * Visitors are summed over the rolled-up buckets and the raw edges, so they are an upper
+     * bound: a visitor counts once per day (or hour, at the range's edges) they were seen in.
+     * Rollups don't keep visitor ids, so this holds after raw rows are pruned.
+     * @param {string} dimension one of ROLLUP_DIMENSIONS
+     * @param {import('./query').StatsQuery} statsQuery
+     * @param {{ start?: Date|null, end?: Date|null, bucket?: 'hour'|'day', total?: boolean,
+     *           orderBy?: string, limit?: number, skipEmpty?: boolean }} [options] start/end
+     *        override the report's range; bucket groups rows by hour or day in the report's
+     *        timezone; total sums all values
+     * @returns {object[]} rows of { bucket?, value?, visitors, sessions, page_views }
+     */
+    function report(dimension, statsQuery, options = {}) {
+        const { table, value } = ROLLUP_DIMENSIONS[dimension];
+        const time = TIME_COLUMNS[table];
+        const start = options.start !== undefined ? options.start : statsQuery.start;
+        const end = options.end !== undefined ? options.end : statsQuery.end;
+        const { bucket = null, orderBy = 'page_views', limit = -1 } = options;
+        if (!ORDER_BY.includes(orderBy)) {
+            throw new Error(`Unknown rollup metric: ${orderBy}`);
+        }
+
+        const params = {
+            ...statsQuery.params,
+            dimension,
+            reportStart: start ? toSqliteDateTime(start) : null,
+            reportEnd: end ? toSqliteDateTime(end) : null,
+            limit
+        };
+        // Buckets are hours and days in the report's timezone. Rollups hold UTC hours and days,
+        // so bucketed reports in other timezones read raw rows.
+        const local = bucket ? statsQuery.localTime(time, start, end) : null;
+        const rawBucket = { hour: `strftime('%Y-%m-%d %H:00:00', ${local})`, day: `date(${local}) || ' 00:00:00'` }[bucket] || 'NULL';
+        const coverage = canUseRollups(statsQuery) && (!bucket || statsQuery.timezone === 'UTC')
+            ? getCoverage(start, end, bucket)
+            : null;
+
+        let rollupRows = '';
+        let rawTime = `${start ? ' AND ' + time + ' >= @reportStart' : ''}${end ? ' AND ' + time + ' <= @reportEnd' : ''}`;
+        if (coverage) {
+            Object.assign(params, {
+                hourFrom: toSqliteDateTime(coverage.from),
+                hourTo: toSqliteDateTime(coverage.to),
+                dayFrom: toSqliteDateTime(coverage.dayFrom),
+                dayTo: toSqliteDateTime(coverage.dayTo)
+            });
+            rollupRows = `
+                SELECT bucket, value, visitors, sessions, page_views
+                FROM rollups
+                WHERE dimension = @dimension ${statsQuery.siteId ? 'AND site_id = @siteId' : ''}
+                AND (
+                    (granularity = 'day' AND bucket >= @dayFrom AND bucket < @dayTo)
+                    OR (granularity = 'hour' AND (
+                        (bucket >= @hourFrom AND bucket < @dayFrom) OR (bucket >= @dayTo AND bucket < @hourTo)
+                    ))
+                )
+                UNION ALL`;
+            // Raw rows before the first and after the last rolled-up hour
+            const before = start ? `(${time} >= @reportStart AND ${time} < @hourFrom)` : '0';
+            const after = `(${time} >= @hourTo${end ? ` AND ${time} <= @reportEnd` : ''})`;
+            rawTime = ` AND (${before} OR ${after})`;
+        }
+
+        const groups = [];
+        if (bucket) {
+            groups.push(bucket === 'day' ? 'date(bucket)' : 'bucket');
+        }
+        if (!options.total) {
+            groups.push('value');
+        }
+        return db.prepare(`
+            SELECT
+                ${bucket ? `${groups[0]} as bucket,` : ''}
+                ${options.total ? '' : "NULLIF(value, '') as value,"}
+                COALESCE(SUM(visitors), 0) as visitors,
+                COALESCE(SUM(sessions), 0) as sessions,
+                COALESCE(SUM(page_views), 0) as page_views
+            FROM (
+                ${rollupRows}
+                SELECT ${rawBucket} as bucket, COALESCE(${value}, '') as value, ${METRICS[table]}
+                FROM ${table}
+                WHERE 1=1 ${rawTime} ${statsQuery.where(table, { time: false })}
+                GROUP BY ${rawBucket}, value
+            )
+            ${options.skipEmpty ? "WHERE value <> ''" : ''}
+            ${groups.length ? `GROUP BY ${groups.join(', ')}` : ''}
+            ORDER BY ${bucket ? `${groups[0]}, ` : ''}${orderBy} DESC
+            LIMIT @limit
+        `).all(params);
+    }
+
+    // End of the range rolled up into both hours and days, or null before the first run
+    function rolledUntil() {
+        return getRolledUntil('day');
+    }
+
+    /**
+     * Add an import's rows to the buckets that are already rolled up, or with sign -1 take them
+     * out again; later buckets count them when they are rolled up. Imported visitors are never
+     * tracked ones, so visitor counts add up exactly. The import's daily aggregates (from
+     * import_aggregates) are added to day rows. Run in the transaction that completes or rolls
+     * back the import.
+     * @param {number} importId
+     * @param {1|-1} sign
+     */
+    function addImport(importId, sign) {
+        const upsert = select => db.prepare(`
+            INSERT INTO rollups (granularity, bucket, site_id, dimension, value, visitors, sessions, page_views)
+            ${select}
+            ON CONFLICT (dimension, granularity, bucket, site_id, value) DO UPDATE SET
+                visitors = visitors + excluded.visitors,
+                sessions = sessions + excluded.sessions,
+                page_views = page_views + excluded.page_views
+        `);
+        for (const granularity of GRANULARITIES) {
+            const until = getRolledUntil(granularity);
+            if (!until) {
+                continue;
+            }
+            const params = { granularity, importId, sign, until: toSqliteDateTime(until) };
+            for (const [dimension, { table, value }] of Object.entries(ROLLUP_DIMENSIONS)) {
+                const bucket = BUCKET_START[granularity](TIME_COLUMNS[table]);
+                upsert(`
+                    SELECT @granularity, bucket, site_id, '${dimension}', value,
+                           @sign * visitors, @sign * sessions, @sign * page_views
+                    FROM (
+                        SELECT ${bucket} as bucket, site_id, COALESCE(${value}, '') as value, ${METRICS[table]}
+                        FROM ${table}
+                        WHERE import_id = @importId AND ${TIME_COLUMNS[table]} < @until
+                        GROUP BY bucket, site_id, value
+                    )
+                    WHERE 1
+                `).run(params);
+            }
+        }
+        upsert(`
+            SELECT 'day', day || ' 00:00:00', site_id, dimension, value,
+                   @sign * visitors, @sign * sessions, @sign * page_views
+            FROM import_aggregates
+            WHERE import_id = @importId
+        `).run({ importId, sign });
+        db.prepare('DELETE FROM rollups WHERE visitors <= 0 AND sessions <= 0 AND page_views <= 0').run();
+    }
+
+    return { rollUp, report, rolledUntil, addImport };
+}
+
+module.exports = { ROLLUP_DIMENSIONS, canUseRollups, createRollups };
@@ -0,0 +1,210 @@
+/**
+ * Site registry
+ * Properties tracked by this API, their allowed origins (CORS), timezone and settings
+ */
+
+const { ValidationError } = require('./errors');
+const { isValidTimezone } = require('./query');
+const { validatePrivacySettings } = require('./privacy');
+
+// Tables that carry a site_id
+const SITE_TABLES = ['visitors', 'sessions', 'page_views', 'events', 'visitor_details'];
+
+const DOMAIN_PATTERN = /^(?=.{1,253}$)([a-z0-9]([a-z0-9-]*[a-z0-9])?\.)*[a-z0-9]([a-z0-9-]*[a-z0-9])?$/;
+
+function toSite(row) {
+    return {
+        id: row.id,
+        domain: row.domain,
+        name: row.name,
+        allowedOrigins: row.allowed_origins ? row.allowed_origins.split(',') : [],
+        timezone: row.timezone || 'UTC',
+        settings: row.settings ? JSON.parse(row.settings) : {},
+        created_at: row.created_at
+    };
+}
+
+// Normalize an origin ("https://example.com:8080") or return null if it isn't one
+function normalizeOrigin(value) {
+    try {
+        const url = new URL(value);
+        if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+            return null;
+        }
+        return url.origin;
+    } catch (err) {
+        return null;
+    }
+}
+
+// Validate site fields from a request body. `partial` allows omitting fields on update.
+function validateSite(fields, partial) {
+    const site = {};
+
+    if (fields.domain !== undefined || !partial) {
+        const domain = typeof fields.domain === 'string' ? fields.domain.trim().toLowerCase() : '';
+        if (!DOMAIN_PATTERN.test(domain)) {
+            throw new ValidationError('domain must be a host name such as docs.clouddept.io');
+        }
+        site.domain = domain;
+    }
+    if (fields.name !== undefined) {
+        if (typeof fields.name !== 'string') {
+            throw new ValidationError('name must be a string');
+        }
+        site.name = fields.name.trim();
+    }
+    if (fields.allowedOrigins !== undefined) {
+        if (!Array.isArray(fields.allowedOrigins)) {
+            throw new ValidationError('allowedOrigins must be an array of origins');
+        }
+        site.allowedOrigins = fields.allowedOrigins.map(origin => {
+            const normalized = normalizeOrigin(origin);
+            if (!normalized) {
+                throw new ValidationError(`Invalid origin: ${origin}`);
+            }
+            return normalized;
+        });
+    }
+    if (fields.timezone !== undefined) {
+        if (typeof fields.timezone !== 'string' || !isValidTimezone(fields.timezone)) {
+            throw new ValidationError(`Unknown timezone: ${fields.timezone}`);
+        }
+        site.timezone = fields.timezone;
+    }
+    if (fields.settings !== undefined) {
+        if (typeof fields.settings !== 'object' || fields.settings === null || Array.isArray(fields.settings)) {
+            throw new ValidationError('settings must be an object');
+        }
+        if (fields.settings.privacy !== undefined) {
+            validatePrivacySettings(fields.settings.privacy);
+        }
+        site.settings = fields.settings;
+    }
+
+    return site;
+}
+
+/**
+ * Site registry backed by the sites table, cached in memory for per-request lookups.
+ * @param {import('better-sqlite3').Database} db
+ */
+function createSiteRegistry(db) {
+    let sites = [];
+
+    function reload() {
+        sites = db.prepare('SELECT * FROM sites ORDER BY id').all().map(toSite);
+    }
+
+    function list() {
+        return sites;
+    }
+
+    /**
+     * Find a site by id or domain.
+     * @param {string|number} idOrDomain
+     * @returns {object|null}
+     */
+    function get(idOrDomain) {
+        if (idOrDomain === undefined || idOrDomain === null || idOrDomain === '') {
+            return null;
+        }
+        const value = String(idOrDomain).trim().toLowerCase();
+        return sites.find(site => String(site.id) === value || site.domain === value) || null;
+    }
+
+    /**
+     * Find the site an origin (or page URL) belongs to: first by host name (the domain
+     * itself or its www. variant), then by the site's allowed origins.
+     * @param {string} value origin or URL
+     * @returns {object|null}
+     */
+    function findByOrigin(value) {
+        const origin = value ? normalizeOrigin(value) : null;
+        if (!origin) {
+            return null;
+        }
+        const hostname = new URL(origin).hostname;
+        return sites.find(site => hostname === site.domain || hostname === `www.${site.domain}`)
+            || sites.find(site => site.allowedOrigins.includes(origin))
+            || null;
+    }
+
+    // CORS check: origins listed by any site, or any site's own domain over https
+    function isAllowedOrigin(origin) {
+        const normalized = normalizeOrigin(origin);
+        if (!normalized) {
+            return false;
+        }
+        return sites.some(site => site.allowedOrigins.includes(normalized) ||
+            normalized === `https://${site.domain}` ||
+            normalized === `https://www.${site.domain}`);
+    }
+
+    function create(fields) {
+        const site = validateSite(fields, false);
+        if (get(site.domain)) {
+            throw new ValidationError(`A site for ${site.domain} already exists`);
+        }
+        const result = db.prepare(`
+            INSERT INTO sites (domain, name, allowed_origins, timezone, settings, created_at)
+            VALUES (?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
+        `).run(
+            site.domain,
+            site.name || site.domain,
+            (site.allowedOrigins || []).join(','),
+            site.timezone || 'UTC',
+            JSON.stringify(site.settings || {})
+        );
+        reload();
+        return get(result.lastInsertRowid);
+    }
+
+    // Returns null if there is no such site
+    function update(id, fields) {
+        const existing = get(id);
+        if (!existing) {
+            return null;
+        }
+        const site = { ...existing, ...validateSite(fields, true) };
+        const conflict = get(site.domain);
+        if (conflict && conflict.id !== existing.id) {
+            throw new ValidationError(`A site for ${site.domain} already exists`);
+        }
+        db.prepare(`
+            UPDATE sites SET domain = ?, name = ?, allowed_origins = ?, timezone = ?, settings = ?
+            WHERE id = ?
+        `).run(site.domain, site.name, site.allowedOrigins.join(','), site.timezone, JSON.stringify(site.settings), existing.id);
+        reload();
+        return get(existing.id);
+    }
+
+    /**
+     * Register a first site when the registry is empty and assign every existing row to
+     * it, so data collected before multi-site support stays reachable.
+     * @param {string} domain
+     * @param {string[]} allowedOrigins
+     */
+    function seed(domain, allowedOrigins) {
+        if (db.prepare('SELECT COUNT(*) as count FROM sites').get().count > 0) {
+            reload();
+            return;
+        }
+        const seedSites = db.transaction(() => {
+            const result = db.prepare(`
+                INSERT INTO sites (domain, name, allowed_origins, timezone, settings, created_at)
+                VALUES (?, ?, ?, 'UTC', '{}', CURRENT_TIMESTAMP)
+            `).run(domain, domain, allowedOrigins.map(normalizeOrigin).filter(Boolean).join(','));
+            for (const table of SITE_TABLES) {
+                db.prepare(`UPDATE ${table} SET site_id = ? WHERE site_id IS NULL`).run(result.lastInsertRowid);
+            }
+        });
+        seedSites();
+        reload();
+    }
+
+    reload();
+    return { list, get, findByOrigin, isAllowedOrigin, create, update, seed };
+}
+
+module.exports = { SITE_TABLES, normalizeOrigin, createSiteRegistry };
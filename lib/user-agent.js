@@ -0,0 +1,179 @@
+/**
+ * User-agent enrichment
+ * Browser and OS versions, device type/brand/model and bot detection
+ */
+
+const useragent = require('useragent');
+
+// Known crawlers, headless browsers and HTTP libraries, checked in order
+const BOT_PATTERNS = [
+    [/googlebot|google-inspectiontool|adsbot-google|mediapartners-google/i, 'Googlebot'],
+    [/bingbot|bingpreview|msnbot/i, 'Bingbot'],
+    [/yandex(bot|images|metrika)/i, 'YandexBot'],
+    [/baiduspider/i, 'Baiduspider'],
+    [/duckduckbot/i, 'DuckDuckBot'],
+    [/yahoo! slurp/i, 'Yahoo Slurp'],
+    [/applebot/i, 'Applebot'],
+    [/facebookexternalhit|facebookcatalog|facebot/i, 'Facebook'],
+    [/twitterbot/i, 'Twitterbot'],
+    [/linkedinbot/i, 'LinkedInBot'],
+    [/slackbot|slack-imgproxy/i, 'Slackbot'],
+    [/telegrambot/i, 'TelegramBot'],
+    [/whatsapp/i, 'WhatsApp'],
+    [/discordbot/i, 'Discordbot'],
+    [/ahrefsbot/i, 'AhrefsBot'],
+    [/semrushbot/i, 'SemrushBot'],
+    [/mj12bot/i, 'MJ12bot'],
+    [/dotbot/i, 'DotBot'],
+    [/petalbot/i, 'PetalBot'],
+    [/gptbot|chatgpt-user/i, 'GPTBot'],
+    [/claudebot|anthropic-ai/i, 'ClaudeBot'],
+    [/ccbot/i, 'CCBot'],
+    [/bytespider/i, 'Bytespider'],
+    [/uptimerobot|pingdom|statuscake|site24x7/i, 'Uptime monitor'],
+    [/chrome-lighthouse|lighthouse/i, 'Lighthouse'],
+    [/headlesschrome/i, 'HeadlessChrome'],
+    [/phantomjs/i, 'PhantomJS'],
+    [/puppeteer|playwright|selenium|webdriver/i, 'Automation'],
+    [/^curl\//i, 'curl'],
+    [/^wget\//i, 'Wget'],
+    [/python-requests|python-urllib|aiohttp|scrapy/i, 'Python'],
+    [/go-http-client/i, 'Go'],
+    [/axios|node-fetch|undici|got \(/i, 'Node.js'],
+    [/okhttp|apache-httpclient|^java\//i, 'Java'],
+    [/postmanruntime|insomnia/i, 'API client']
+];
+
+// Anything else that calls itself a bot, crawler or spider
+const GENERIC_BOT_PATTERN = /bot\b|crawl|spider|scraper|archiver|fetcher|preview/i;
+
+// Android model prefixes and the brand that uses them
+const ANDROID_BRANDS = [
+    [/^(SM-|GT-|SCH-|SGH-|Galaxy)/i, 'Samsung'],
+    [/^(Pixel|Nexus)/i, 'Google'],
+    [/^(Redmi|Mi |MI |POCO|M2\d{3}|2\d{3}[A-Z0-9]{4,})/, 'Xiaomi'],
+    [/^(HUAWEI|[A-Z]{3}-(L|AL|LX|TL|NX)\d)/, 'Huawei'],
+    [/^(HONOR|HRY-|RKY-)/i, 'Honor'],
+    [/^(ONEPLUS|(KB|LE|IN|HD|GM|NE|CPH)2\d{3})/i, 'OnePlus'],
+    [/^CPH\d/, 'OPPO'],
+    [/^RMX\d/, 'Realme'],
+    [/^(vivo|V\d{4})/i, 'vivo'],
+    [/^(moto|XT\d{4})/i, 'Motorola'],
+    [/^Nokia/i, 'Nokia'],
+    [/^(LG-|LM-)/i, 'LG'],
+    [/^(SO-|XQ-|Xperia)/i, 'Sony'],
+    [/^(ASUS|ZenFone)/i, 'ASUS'],
+    [/^(Lenovo|TB-)/i, 'Lenovo'],
+    [/^KF[A-Z]{2,4}/, 'Amazon']
+];
+
+// Format a "major.minor" version, or null when the parser found none
+function formatVersion(major, minor) {
+    if (!major || major === '0') {
+        return null;
+    }
+    return minor && minor !== '0' ? `${major}.${minor}` : major;
+}
+
+function detectBot(userAgentString, hints) {
+    if (!userAgentString || userAgentString.trim() === '') {
+        return 'Empty user agent';
+    }
+    for (const [pattern, name] of BOT_PATTERNS) {
+        if (pattern.test(userAgentString)) {
+            return name;
+        }
+    }
+    if (GENERIC_BOT_PATTERN.test(userAgentString)) {
+        return 'Other bot';
+    }
+    // navigator.webdriver is set by automated browsers that hide it from the UA string
+    if (hints.webdriver === true) {
+        return 'Automation';
+    }
+    return null;
+}
+
+function getAndroidModel(userAgentString) {
+    const match = userAgentString.match(/Android[\s\d.]*;(?:\s*[a-z]{2}[-_][a-z]{2};)?\s*([^;)]+?)(?:\s+Build\/[^;)]*)?\s*[;)]/i);
+    if (!match) {
+        return null;
+    }
+    const model = match[1].trim();
+    // Reduced user agents replace the model with "K"
+    if (model === 'K' || /^(wv|mobile|linux|U)$/i.test(model)) {
+        return null;
+    }
+    return model;
+}
+
+function getDevice(userAgentString, agent) {
+    const device = { type: 'desktop', brand: null, model: null };
+
+    if (/iPhone|iPod/.test(userAgentString)) {
+        return { type: 'mobile', brand: 'Apple', model: agent.device.family === 'iPod' ? 'iPod' : 'iPhone' };
+    }
+    if (/iPad/.test(userAgentString)) {
+        return { type: 'tablet', brand: 'Apple', model: 'iPad' };
+    }
+    if (/Macintosh/.test(userAgentString)) {
+        return { type: 'desktop', brand: 'Apple', model: 'Mac' };
+    }
+
+    if (/Android/i.test(userAgentString)) {
+        const model = getAndroidModel(userAgentString);
+        // Android tablets omit "Mobile" from the UA string
+        device.type = /Mobile/i.test(userAgentString) ? 'mobile' : 'tablet';
+        device.model = model;
+        if (model) {
+            const brand = ANDROID_BRANDS.find(([pattern]) => pattern.test(model));
+            device.brand = brand ? brand[1] : null;
+        }
+        return device;
+    }
+
+    if (/tablet|kindle|silk/i.test(userAgentString)) {
+        device.type = 'tablet';
+    } else if (/mobi|phone/i.test(userAgentString)) {
+        device.type = 'mobile';
+    }
+    return device;
+}
+
+function getOsVersion(userAgentString, agent) {
+    // The bundled parser does not know newer Android version strings
+    if (agent.os.family === 'Android') {
+        const match = userAgentString.match(/Android\s+(\d+)(?:\.(\d+))?/i);
+        return match ? formatVersion(match[1], match[2]) : null;
+    }
+    return formatVersion(agent.os.major, agent.os.minor);
+}
+
+/**
+ * Parse a user-agent string into the columns stored in visitor_details.
+ * @param {string} userAgentString
+ * @param {{ webdriver?: boolean }} [hints] client-reported signals, e.g. navigator.webdriver
+ * @returns {{ browser: string|null, browserVersion: string|null, os: string|null, osVersion: string|null,
+ *             deviceType: string, deviceBrand: string|null, deviceModel: string|null,
+ *             isBot: boolean, botName: string|null }}
+ */
+function parseUserAgent(userAgentString, hints = {}) {
+    const uaString = userAgentString || '';
+    const agent = useragent.parse(uaString);
+    const botName = detectBot(uaString, hints);
+    const device = getDevice(uaString, agent);
+
+    return {
+        browser: agent.family && agent.family !== 'Other' ? agent.family : null,
+        browserVersion: formatVersion(agent.major, agent.minor),
+        os: agent.os.family && agent.os.family !== 'Other' ? agent.os.family : null,
+        osVersion: getOsVersion(uaString, agent),
+        deviceType: botName ? 'bot' : device.type,
+        deviceBrand: device.brand,
+        deviceModel: device.model,
+        isBot: botName !== null,
+        botName
+    };
+}
+
+module.exports = { parseUserAgent };
@@ -0,0 +1,116 @@
+/**
+ * Webhooks
+ * Signed JSON deliveries, retried with growing delays and logged in webhook_deliveries
+ */
+
+const crypto = require('crypto');
+
+// Waits before the second, third... attempt of a failed delivery
+const RETRY_DELAYS_MS = [30 * 1000, 2 * 60 * 1000, 10 * 60 * 1000, 30 * 60 * 1000];
+const DELIVERY_TIMEOUT_MS = 10 * 1000;
+
+function createWebhookSecret() {
+    return crypto.randomBytes(32).toString('hex');
+}
+
+/**
+ * Signature of a delivery: hex HMAC-SHA256 of "<timestamp>.<body>" keyed with the secret.
+ * Receivers compute it themselves and also reject old timestamps, so deliveries can't be
+ * replayed.
+ * @param {string} secret
+ * @param {number} timestamp Unix seconds, sent as X-Webhook-Timestamp
+ * @param {string} body
+ * @returns {string}
+ */
+function signPayload(secret, timestamp, body) {
+    return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+/**
+ * Webhook sender backed by the webhook_deliveries log.
+ * @param {import('better-sqlite3').Database} db
+ * @param {{ retryDelaysMs?: number[] }} [options]
+ */
+function createWebhookSender(db, { retryDelaysMs = RETRY_DELAYS_MS } = {}) {
+    const ruleExists = db.prepare('SELECT 1 FROM alert_rules WHERE id = ?');
+
+    // One attempt; any 2xx response is a success and redirects are not followed. Resolves
+    // true when there is nothing to retry: it succeeded, or the rule has been deleted.
+    async function attempt(delivery, number) {
+        if (!ruleExists.get(delivery.ruleId)) {
+            return true;
+        }
+        const timestamp = Math.floor(Date.now() / 1000);
+        const startedAt = Date.now();
+        let statusCode = null;
+        let error = null;
+        try {
+            const response = await fetch(delivery.url, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'User-Agent': 'CloudDeptAnalytics-Webhook/1.0',
+                    'X-Webhook-Id': delivery.eventId,
+                    'X-Webhook-Timestamp': String(timestamp),
+                    'X-Webhook-Signature': `sha256=${signPayload(delivery.secret, timestamp, delivery.body)}`
+                },
+                body: delivery.body,
+                redirect: 'manual',
+                signal: AbortSignal.timeout(DELIVERY_TIMEOUT_MS)
+            });
+            statusCode = response.status;
+            if (!response.ok) {
+                error = `HTTP ${response.status}`;
+            }
+            await response.body?.cancel();
+        } catch (err) {
+            error = err.message;
+        }
+
+        // The rule may have been deleted while the request was in flight
+        const logged = db.prepare(`
+            INSERT INTO webhook_deliveries (rule_id, event_id, url, payload, attempt, status_code, error, duration_ms, created_at)
+            SELECT ?, ?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP
+            WHERE EXISTS (SELECT 1 FROM alert_rules WHERE id = ?)
+        `).run(delivery.ruleId, delivery.eventId, delivery.url, delivery.body, number, statusCode, error, Date.now() - startedAt,
+            delivery.ruleId);
+        return error === null || logged.changes === 0;
+    }
+
+    /**
+     * Deliver a payload in the background. Failed attempts are retried after each of
+     * RETRY_DELAYS_MS until the rule is deleted; retries still waiting when the process exits
+     * are lost.
+     * @param {{ ruleId: number, url: string, secret: string }} target
+     * @param {{ id: string }} payload id is sent as X-Webhook-Id with every attempt
+     */
+    function send({ ruleId, url, secret }, payload) {
+        const delivery = { ruleId, url, secret, eventId: payload.id, body: JSON.stringify(payload) };
+        const logError = err => console.error('Webhook delivery error:', err);
+        const run = async number => {
+            if (await attempt(delivery, number)) {
+                return;
+            }
+            const delay = retryDelaysMs[number - 1];
+            if (delay !== undefined) {
+                setTimeout(() => run(number + 1).catch(logError), delay).unref();
+            }
+        };
+        run(1).catch(logError);
+    }
+
+    // Latest attempts for a rule, newest first
+    function listDeliveries(ruleId, limit) {
+        return db.prepare(`
+            SELECT id, event_id, url, attempt, status_code, error, duration_ms, created_at, payload
+            FROM webhook_deliveries
+            WHERE rule_id = ?
+            ORDER BY id DESC
+            LIMIT ?
+        `).all(ruleId, limit).map(row => ({ ...row, payload: JSON.parse(row.payload) }));
+    }
+
+    return { send, listDeliveries };
+}
+
+module.exports = { RETRY_DELAYS_MS, createWebhookSecret, signPayload, createWebhookSender };
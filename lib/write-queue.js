@@ -0,0 +1,107 @@
+/**
+ * Write queue
+ * Buffers accepted hits in memory and writes them in batches, one transaction per batch,
+ * so ingest requests never wait on SQLite
+ */
+
+/**
+ * Write queue for hits. Batches are flushed on a timer, or as soon as a full batch is
+ * waiting; a backlog is written one batch per event loop turn. When the queue is full,
+ * enqueue() refuses new hits instead of letting memory grow: callers answer 503.
+ * Whatever write() returns for a hit other than undefined is passed to afterCommit() once
+ * the hit's batch has committed.
+ * @param {import('better-sqlite3').Database} db
+ * @param {Function} write writes one hit
+ * @param {{ maxSize?: number, batchSize?: number, flushIntervalMs?: number, afterCommit?: Function }} [options]
+ */
+function createWriteQueue(db, write, options = {}) {
+    const { maxSize = 10000, batchSize = 500, flushIntervalMs = 1000, afterCommit = null } = options;
+    const pending = [];
+    const counts = { written: 0, failed: 0, refused: 0 };
+    let flushScheduled = false;
+
+    // Each hit runs in a savepoint, so a failing hit doesn't roll back the rest of its batch
+    const writeHit = db.transaction(write);
+    const writeHits = db.transaction(hits => {
+        const results = [];
+        for (const hit of hits) {
+            try {
+                const result = writeHit(hit);
+                counts.written++;
+                if (result !== undefined) {
+                    results.push(result);
+                }
+            } catch (err) {
+                counts.failed++;
+                console.error('Hit write error:', err);
+            }
+        }
+        return results;
+    });
+
+    function writeBatch(hits) {
+        const results = writeHits(hits);
+        if (!afterCommit) {
+            return;
+        }
+        for (const result of results) {
+            try {
+                afterCommit(result);
+            } catch (err) {
+                console.error('Hit after-commit error:', err);
+            }
+        }
+    }
+
+    function flush() {
+        flushScheduled = false;
+        if (pending.length === 0) {
+            return;
+        }
+        writeBatch(pending.splice(0, batchSize));
+        if (pending.length > 0) {
+            scheduleFlush();
+        }
+    }
+
+    function scheduleFlush() {
+        if (!flushScheduled) {
+            flushScheduled = true;
+            setImmediate(flush);
+        }
+    }
+
+    /**
+     * Queue hits to be written, all or none.
+     * @param {object[]} hits
+     * @returns {boolean} false if the queue has no room for them
+     */
+    function enqueue(hits) {
+        if (pending.length + hits.length > maxSize) {
+            counts.refused += hits.length;
+            return false;
+        }
+        pending.push(...hits);
+        if (pending.length >= batchSize) {
+            scheduleFlush();
+        }
+        return true;
+    }
+
+    // Write everything still queued, e.g. before the process exits
+    function drain() {
+        while (pending.length > 0) {
+            writeBatch(pending.splice(0, batchSize));
+        }
+    }
+
+    function stats() {
+        return { pending: pending.length, maxSize, ...counts };
+    }
+
+    setInterval(flush, flushIntervalMs).unref();
+
+    return { enqueue, drain, stats };
+}
+
+module.exports = { createWriteQueue };
@@ -0,0 +1,109 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { validateRule, createAlertStore, createAlertEngine } = require('../lib/alerts');
+const { toSqliteDateTime } = require('../lib/query');
+const { createTestDb } = require('./helpers');
+
+const MINUTE_MS = 60 * 1000;
+const WEEK_MS = 7 * 24 * 60 * MINUTE_MS;
+const noGoals = { get: () => null };
+
+function insertPageViews(db, siteId, at, count) {
+    db.prepare('INSERT INTO visitors (visitor_id, site_id) VALUES (?, ?) ON CONFLICT (visitor_id) DO NOTHING').run('v1', siteId);
+    const sessionId = `s-${at.getTime()}`;
+    db.prepare('INSERT INTO sessions (site_id, visitor_id, session_id, started_at) VALUES (?, ?, ?, ?)')
+        .run(siteId, 'v1', sessionId, toSqliteDateTime(at));
+    for (let index = 0; index < count; index++) {
+        db.prepare("INSERT INTO page_views (site_id, session_id, visitor_id, page_path, viewed_at) VALUES (?, ?, 'v1', '/', ?)")
+            .run(siteId, sessionId, toSqliteDateTime(at));
+    }
+}
+
+function setUp() {
+    const db = createTestDb();
+    const siteId = db.prepare("INSERT INTO sites (domain, name) VALUES ('example.com', 'example.com')").run().lastInsertRowid;
+    const store = createAlertStore(db, noGoals);
+    const sent = [];
+    const webhooks = { send: (target, payload) => sent.push({ target, payload }) };
+    return { db, siteId, store, sent, engine: createAlertEngine(db, { store, goals: noGoals, webhooks }) };
+}
+
+const rule = { name: 'Traffic', metric: 'pageviews', condition: 'above', threshold: 5, webhookUrl: 'https://hooks.example.com/a' };
+
+test('rules are validated and get their metric\'s defaults', () => {
+    assert.deepStrictEqual(validateRule(rule), {
+        name: 'Traffic',
+        metric: 'pageviews',
+        goalId: null,
+        condition: 'above',
+        threshold: 5,
+        windowMinutes: 60,
+        cooldownMinutes: 60,
+        webhookUrl: 'https://hooks.example.com/a',
+        enabled: true
+    });
+    assert.strictEqual(validateRule({ ...rule, metric: 'active_visitors' }).windowMinutes, 5);
+    assert.strictEqual(validateRule({ ...rule, webhookUrl: undefined }, { webhook: false }).webhookUrl, null);
+
+    assert.throws(() => validateRule({ ...rule, metric: 'bounces' }), /metric must be one of/);
+    assert.throws(() => validateRule({ ...rule, condition: 'equals' }), /condition must be one of/);
+    assert.throws(() => validateRule({ ...rule, threshold: -1 }), /threshold must be a non-negative number/);
+    assert.throws(() => validateRule({ ...rule, windowMinutes: 0 }), /windowMinutes must be at least 1/);
+    assert.throws(() => validateRule({ ...rule, metric: 'goal_completions' }), /goalId is required/);
+    assert.throws(() => validateRule({ ...rule, webhookUrl: 'ftp://hooks.example.com' }), /webhookUrl must be an http\(s\) URL/);
+});
+
+test('saved rules return their webhook secret only when created', () => {
+    const { siteId, store } = setUp();
+    const created = store.create(siteId, rule);
+    assert.match(created.webhookSecret, /\S{16,}/);
+    assert.strictEqual(store.get(created.id).webhookSecret, undefined);
+    assert.strictEqual(store.update(created.id, { threshold: 10 }).threshold, 10);
+    assert.throws(() => store.create(siteId, { ...rule, metric: 'goal_completions', goalId: 1 }), /Unknown goal for this site/);
+    assert.ok(store.remove(created.id));
+    assert.strictEqual(store.remove(created.id), false);
+});
+
+test('a firing rule sends one webhook, then waits out its cooldown', () => {
+    const { db, siteId, store, sent, engine } = setUp();
+    const { id } = store.create(siteId, rule);
+    insertPageViews(db, siteId, new Date(Date.now() - 10 * MINUTE_MS), 6);
+
+    engine.check();
+    engine.check();
+
+    assert.strictEqual(sent.length, 1);
+    assert.strictEqual(sent[0].target.ruleId, id);
+    assert.strictEqual(sent[0].payload.value, 6);
+    assert.strictEqual(sent[0].payload.rule.threshold, 5);
+    assert.notStrictEqual(store.get(id).lastFiredAt, null);
+});
+
+test('spikes compare with the same window a week earlier', () => {
+    const { db, siteId, engine } = setUp();
+    const at = new Date();
+    insertPageViews(db, siteId, new Date(at.getTime() - 10 * MINUTE_MS), 6);
+    insertPageViews(db, siteId, new Date(at.getTime() - WEEK_MS - 10 * MINUTE_MS), 2);
+
+    const spike = engine.evaluate({ ...validateRule({ ...rule, condition: 'spike', threshold: 100 }), siteId }, at);
+    assert.deepStrictEqual([spike.value, spike.previous, spike.change, spike.fired], [6, 2, 200, true]);
+    const drop = engine.evaluate({ ...validateRule({ ...rule, condition: 'drop', threshold: 10 }), siteId }, at);
+    assert.strictEqual(drop.fired, false);
+});
+
+test('dry runs replay windows with the cooldown and send nothing', () => {
+    const { db, siteId, sent, engine } = setUp();
+    const start = new Date(Math.floor(Date.now() / (60 * MINUTE_MS)) * 60 * MINUTE_MS - 6 * 60 * MINUTE_MS);
+    insertPageViews(db, siteId, new Date(start.getTime() + 30 * MINUTE_MS), 6);
+    insertPageViews(db, siteId, new Date(start.getTime() + 90 * MINUTE_MS), 6);
+    insertPageViews(db, siteId, new Date(start.getTime() + 270 * MINUTE_MS), 6);
+
+    const dryRule = { ...validateRule({ ...rule, windowMinutes: 60, cooldownMinutes: 90 }, { webhook: false }), siteId };
+    const { evaluations, fired } = engine.dryRun(dryRule, start, new Date(start.getTime() + 6 * 60 * MINUTE_MS));
+
+    assert.strictEqual(evaluations, 6);
+    // The second hour is within the cooldown of the first
+    assert.deepStrictEqual(fired.map(result => (result.to - start) / MINUTE_MS), [60, 300]);
+    assert.deepStrictEqual(sent, []);
+    assert.throws(() => engine.dryRun(dryRule, new Date(0), new Date()), /more than 2000 windows/);
+});
@@ -0,0 +1,52 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createApiKeyStore, hasScope } = require('../lib/api-keys');
+const { createTestDb } = require('./helpers');
+
+// Run requireScope's middleware against a request with `key`, returning the status it sent or 'next'
+function callMiddleware(middleware, key) {
+    const req = { headers: key ? { authorization: `Bearer ${key}` } : {} };
+    let result = null;
+    const res = {
+        status(code) {
+            result = code;
+            return { json() {} };
+        }
+    };
+    middleware(req, res, () => {
+        result = 'next';
+    });
+    return { result, apiKey: req.apiKey };
+}
+
+test('keys carry their scopes, and admin keys every scope', () => {
+    const apiKeys = createApiKeyStore(createTestDb(), { adminToken: 'admin-secret' });
+    const { key } = apiKeys.create('Dashboard', ['read-stats']);
+
+    const verified = apiKeys.verify(key);
+    assert.deepStrictEqual(verified.scopes, ['read-stats']);
+    assert.ok(hasScope(verified, 'read-stats'));
+    assert.ok(!hasScope(verified, 'read-visitors'));
+    assert.ok(hasScope(apiKeys.verify('admin-secret'), 'read-visitors'));
+    assert.ok(!hasScope(null, 'read-stats'));
+
+    assert.strictEqual(callMiddleware(apiKeys.requireScope('read-stats'), key).result, 'next');
+    assert.strictEqual(callMiddleware(apiKeys.requireScope('read-visitors'), key).result, 403);
+    assert.strictEqual(callMiddleware(apiKeys.requireScope('read-stats'), 'cda_unknown').result, 401);
+    assert.strictEqual(callMiddleware(apiKeys.requireScope('read-stats'), null).result, 401);
+});
+
+test('revoked keys no longer verify', () => {
+    const apiKeys = createApiKeyStore(createTestDb());
+    const { id, key } = apiKeys.create('Old', ['ingest'], null);
+    assert.ok(apiKeys.revoke(id));
+    assert.strictEqual(apiKeys.verify(key), null);
+    assert.strictEqual(apiKeys.revoke(id), false);
+});
+
+test('keys that are not strings are not verified', () => {
+    const apiKeys = createApiKeyStore(createTestDb(), { adminToken: 'admin-secret' });
+    for (const key of [5, { key: 'admin-secret' }, ['admin-secret'], true]) {
+        assert.strictEqual(apiKeys.verify(key), null);
+    }
+});
@@ -0,0 +1,39 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseCron, nextRun } = require('../lib/cron');
+const { ValidationError } = require('../lib/errors');
+
+const next = (expression, after, timezone = 'UTC') => nextRun(parseCron(expression), new Date(after), timezone)?.toISOString() ?? null;
+
+test('schedules are validated', () => {
+    for (const expression of ['0 8 * *', '60 8 * * 1', '0 8 * * 8', '0 8 0 * *', '*/0 * * * *', '0 8 5-1 * *', 'a b c d e', 5]) {
+        assert.throws(() => parseCron(expression), ValidationError, String(expression));
+    }
+    assert.deepStrictEqual(parseCron('0,30 8-10/2 * * *').minutes, [0, 30]);
+    assert.deepStrictEqual(parseCron('0,30 8-10/2 * * *').hours, [8, 10]);
+});
+
+test('the next run is found in the schedule\'s timezone', () => {
+    // Monday 2024-05-06 08:00
+    assert.strictEqual(next('0 8 * * 1', '2024-05-01T00:00:00Z'), '2024-05-06T08:00:00.000Z');
+    assert.strictEqual(next('0 8 * * 1', '2024-05-06T08:00:00Z'), '2024-05-13T08:00:00.000Z');
+    assert.strictEqual(next('0 8 * * 1', '2024-05-01T00:00:00Z', 'America/New_York'), '2024-05-06T12:00:00.000Z');
+    assert.strictEqual(next('0 8 * * 7', '2024-05-01T00:00:00Z'), '2024-05-05T08:00:00.000Z');
+});
+
+test('runs keep their wall-clock time across DST changes', () => {
+    // Paris switches to summer time on Sunday 2024-03-31
+    assert.strictEqual(next('0 8 * * *', '2024-03-30T12:00:00Z', 'Europe/Paris'), '2024-03-31T06:00:00.000Z');
+    assert.strictEqual(next('0 8 * * *', '2024-03-29T12:00:00Z', 'Europe/Paris'), '2024-03-30T07:00:00.000Z');
+});
+
+test('restricted day of month and day of week run on either', () => {
+    // The 1st of June 2024 is a Saturday; the first Monday after it is the 3rd
+    assert.strictEqual(next('0 8 1 * 1', '2024-05-28T00:00:00Z'), '2024-06-01T08:00:00.000Z');
+    assert.strictEqual(next('0 8 1 * 1', '2024-06-01T09:00:00Z'), '2024-06-03T08:00:00.000Z');
+});
+
+test('rare schedules are found and impossible ones never run', () => {
+    assert.strictEqual(next('0 0 29 2 *', '2024-03-01T00:00:00Z'), '2028-02-29T00:00:00.000Z');
+    assert.strictEqual(next('0 0 31 2 *', '2024-03-01T00:00:00Z'), null);
+});
@@ -0,0 +1,125 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createEmailReports } = require('../lib/email-reports');
+const { createTestDb, wait } = require('./helpers');
+
+const digest = {
+    start: new Date('2024-05-06T00:00:00Z'),
+    end: new Date('2024-05-13T00:00:00Z'),
+    previousStart: new Date('2024-04-29T00:00:00Z'),
+    previousEnd: new Date('2024-05-06T00:00:00Z'),
+    metrics: { totalVisitors: 10, totalPageViews: 20, totalSessions: 12, bounceRate: 40, avgSessionDuration: 60, avgPagesPerSession: 1.7 },
+    compared: Object.fromEntries(['totalVisitors', 'totalPageViews', 'totalSessions', 'bounceRate', 'avgSessionDuration', 'avgPagesPerSession']
+        .map(key => [key, { previous: null, change: null }])),
+    topPages: [],
+    topSources: []
+};
+
+function setup(transport) {
+    const db = createTestDb();
+    const siteId = db.prepare("INSERT INTO sites (domain, name) VALUES ('example.com', 'Example')").run().lastInsertRowid;
+    const site = { id: siteId, domain: 'example.com', name: 'Example', timezone: 'UTC' };
+    const reports = createEmailReports(db, {
+        sites: { get: () => site },
+        getDigest: () => digest,
+        transport,
+        from: 'Analytics <analytics@example.com>'
+    });
+    const subscription = reports.create(siteId, { name: 'Weekly', recipients: ['team@example.com'], schedule: '0 8 * * 1', period: '7d' });
+    // Make it due
+    db.prepare("UPDATE report_subscriptions SET next_run_at = '2000-01-01 00:00:00' WHERE id = ?").run(subscription.id);
+    return { db, reports, subscription };
+}
+
+test('a subscription deleted while its report is being sent gets no delivery row', async t => {
+    const unhandled = [];
+    const onUnhandled = err => unhandled.push(err);
+    process.on('unhandledRejection', onUnhandled);
+    t.after(() => process.off('unhandledRejection', onUnhandled));
+
+    let context;
+    context = setup({
+        sendMail: async () => {
+            context.reports.remove(context.subscription.id);
+            return { messageId: '<1@example.com>' };
+        }
+    });
+    context.reports.runDue();
+    await wait(50);
+
+    assert.deepStrictEqual(unhandled, []);
+    assert.strictEqual(context.reports.get(context.subscription.id), null);
+    assert.strictEqual(context.db.prepare('SELECT COUNT(*) as count FROM report_deliveries').get().count, 0);
+});
+
+test('send resolves null for a subscription deleted during the send', async () => {
+    let context;
+    context = setup({
+        sendMail: async () => {
+            context.reports.remove(context.subscription.id);
+            return { messageId: '<1@example.com>' };
+        }
+    });
+    assert.strictEqual(await context.reports.send(context.subscription), null);
+});
+
+test('an SMTP failure is recorded as a failed delivery', async () => {
+    const { db, reports, subscription } = setup({
+        sendMail: async () => {
+            throw new Error('Connection refused');
+        }
+    });
+    reports.runDue();
+    await wait(50);
+
+    const delivery = db.prepare('SELECT * FROM report_deliveries WHERE subscription_id = ?').get(subscription.id);
+    assert.strictEqual(delivery.status, 'failed');
+    assert.strictEqual(delivery.error, 'Connection refused');
+});
+
+test('subscriptions are validated and scheduled in the site\'s timezone', () => {
+    const db = createTestDb();
+    const siteId = db.prepare("INSERT INTO sites (domain, name, timezone) VALUES ('example.com', 'Example', 'Asia/Tokyo')").run().lastInsertRowid;
+    const reports = createEmailReports(db, {
+        sites: { get: () => ({ id: siteId, domain: 'example.com', name: 'Example', timezone: 'Asia/Tokyo' }) },
+        getDigest: () => digest,
+        transport: null,
+        from: 'analytics@example.com'
+    });
+    const fields = { name: 'Daily', recipients: ['team@example.com', ' team@example.com '], schedule: '0 8 * * *' };
+
+    const subscription = reports.create(siteId, fields);
+    assert.deepStrictEqual(subscription.recipients, ['team@example.com']);
+    assert.strictEqual(subscription.period, '7d');
+    // 08:00 in Tokyo is 23:00 UTC
+    assert.match(subscription.nextRunAt, / 23:00:00$/);
+    assert.ok(new Date(`${subscription.nextRunAt.replace(' ', 'T')}Z`) > new Date());
+
+    assert.strictEqual(reports.update(subscription.id, { enabled: false }).nextRunAt, null);
+    assert.throws(() => reports.create(siteId, { ...fields, recipients: ['not-an-address'] }), /Invalid email address/);
+    assert.throws(() => reports.create(siteId, { ...fields, schedule: '0 8 * *' }), /cron expression with 5 fields/);
+    assert.throws(() => reports.create(siteId, { ...fields, schedule: '0 8 31 2 *' }), /schedule never runs/);
+    assert.throws(() => reports.create(siteId, { ...fields, period: '1y' }), /period must be one of/);
+});
+
+test('due reports are rescheduled before they are sent, so each is sent once', async () => {
+    const sent = [];
+    const { db, reports, subscription } = setup({
+        sendMail: async message => {
+            sent.push(message);
+            return { messageId: `<${sent.length}@example.com>` };
+        }
+    });
+    reports.runDue();
+    reports.runDue();
+    await wait(50);
+
+    assert.strictEqual(sent.length, 1);
+    assert.deepStrictEqual(sent[0].to, ['team@example.com']);
+    const updated = reports.get(subscription.id);
+    assert.ok(new Date(`${updated.nextRunAt.replace(' ', 'T')}Z`) > new Date());
+    assert.notStrictEqual(updated.lastSentAt, null);
+    const [delivery] = reports.listDeliveries(subscription.id, 10);
+    assert.deepStrictEqual([delivery.status, delivery.message_id], ['sent', '<1@example.com>']);
+    assert.strictEqual(db.prepare('SELECT COUNT(*) as count FROM report_deliveries').get().count, 1);
+});
@@ -0,0 +1,90 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseSteps, validateFunnel, analyzeFunnel, createFunnelStore } = require('../lib/funnels');
+const { parseStatsQuery } = require('../lib/query');
+const { createTestDb } = require('./helpers');
+
+// A session whose hits are given as "page:/path" or "event:name", one minute apart from 10:00
+function insertSession(db, siteId, visitorId, sessionId, hits, day = '2024-05-01') {
+    db.prepare('INSERT INTO visitors (visitor_id, site_id) VALUES (?, ?) ON CONFLICT (visitor_id) DO NOTHING').run(visitorId, siteId);
+    db.prepare('INSERT INTO sessions (site_id, visitor_id, session_id, started_at) VALUES (?, ?, ?, ?)')
+        .run(siteId, visitorId, sessionId, `${day} 10:00:00`);
+    hits.forEach((hit, index) => {
+        const [type, value] = hit.split(':');
+        const at = `${day} 10:${String(index).padStart(2, '0')}:00`;
+        if (type === 'page') {
+            db.prepare('INSERT INTO page_views (site_id, session_id, visitor_id, page_path, viewed_at) VALUES (?, ?, ?, ?, ?)')
+                .run(siteId, sessionId, visitorId, value, at);
+        } else {
+            db.prepare("INSERT INTO events (site_id, session_id, visitor_id, event_type, event_name, created_at) VALUES (?, ?, ?, 'event', ?, ?)")
+                .run(siteId, sessionId, visitorId, value, at);
+        }
+    });
+}
+
+function setUp() {
+    const db = createTestDb();
+    const siteId = db.prepare("INSERT INTO sites (domain, name) VALUES ('example.com', 'example.com')").run().lastInsertRowid;
+    insertSession(db, siteId, 'v1', 's1', ['page:/', 'page:/pricing', 'page:/signup', 'event:signup']);
+    insertSession(db, siteId, 'v2', 's2', ['page:/pricing', 'page:/about', 'page:/signup']);
+    insertSession(db, siteId, 'v3', 's3', ['page:/pricing']);
+    insertSession(db, siteId, 'v3', 's4', ['page:/signup', 'event:signup'], '2024-05-02');
+    return { db, statsQuery: parseStatsQuery({ period: 'all' }, { siteId }) };
+}
+
+const counts = result => result.steps.map(step => step.count);
+
+test('steps are parsed and funnels validated', () => {
+    assert.deepStrictEqual(parseSteps('page:/pricing; page:/a\\;b ;event:signup'), [
+        { type: 'page', value: '/pricing' },
+        { type: 'page', value: '/a;b' },
+        { type: 'event', value: 'signup' }
+    ]);
+    assert.throws(() => parseSteps(undefined), /steps must be a string/);
+
+    const steps = [{ type: 'page', value: '/pricing' }, { type: 'event', value: 'signup' }];
+    assert.deepStrictEqual(validateFunnel({ steps }), { steps, order: 'loose', window: null, countBy: 'sessions' });
+    assert.throws(() => validateFunnel({ steps: steps.slice(0, 1) }), /between 2 and 10 steps/);
+    assert.throws(() => validateFunnel({ steps: [steps[0], { type: 'click', value: 'x' }] }), /Step 2 must have a type/);
+    assert.throws(() => validateFunnel({ steps, order: 'any' }), /order must be one of/);
+    assert.throws(() => validateFunnel({ steps, window: '0m' }), /window must be a duration/);
+    assert.throws(() => validateFunnel({ steps, countBy: 'pages' }), /countBy must be one of/);
+});
+
+test('loose funnels allow other pages between steps, strict ones do not', () => {
+    const { db, statsQuery } = setUp();
+    const steps = [{ type: 'page', value: '/pricing' }, { type: 'page', value: '/signup' }, { type: 'event', value: 'signup' }];
+
+    const loose = analyzeFunnel(db, validateFunnel({ steps }), statsQuery);
+    assert.deepStrictEqual(counts(loose), [3, 2, 1]);
+    assert.deepStrictEqual(loose.steps.map(step => step.dropOff), [0, 1, 1]);
+    assert.strictEqual(loose.steps[1].medianSecondsFromPrevious, 90);
+    assert.strictEqual(Math.round(loose.conversionRate), 33);
+
+    const strict = analyzeFunnel(db, validateFunnel({ steps, order: 'strict' }), statsQuery);
+    assert.deepStrictEqual(counts(strict), [3, 1, 1]);
+});
+
+test('windows cut funnels short and visitors combine their sessions', () => {
+    const { db, statsQuery } = setUp();
+    const steps = [{ type: 'page', value: '/pricing' }, { type: 'page', value: '/sign*' }];
+
+    assert.deepStrictEqual(counts(analyzeFunnel(db, validateFunnel({ steps, window: '90s' }), statsQuery)), [3, 1]);
+    assert.deepStrictEqual(counts(analyzeFunnel(db, validateFunnel({ steps }), statsQuery)), [3, 2]);
+    assert.deepStrictEqual(counts(analyzeFunnel(db, validateFunnel({ steps, countBy: 'visitors' }), statsQuery)), [3, 3]);
+});
+
+test('saved funnels have unique names per site', () => {
+    const db = createTestDb();
+    const siteId = db.prepare("INSERT INTO sites (domain, name) VALUES ('example.com', 'example.com')").run().lastInsertRowid;
+    const funnels = createFunnelStore(db);
+    const steps = [{ type: 'page', value: '/pricing' }, { type: 'event', value: 'signup' }];
+
+    const funnel = funnels.create(siteId, { name: ' Signup ', steps });
+    assert.strictEqual(funnel.name, 'Signup');
+    assert.throws(() => funnels.create(siteId, { name: 'Signup', steps }), /already exists/);
+    assert.strictEqual(funnels.update(funnel.id, { order: 'strict' }).order, 'strict');
+    assert.strictEqual(funnels.update(999, { order: 'strict' }), null);
+    assert.ok(funnels.remove(funnel.id));
+    assert.deepStrictEqual(funnels.list(siteId), []);
+});
@@ -0,0 +1,34 @@
+/**
+ * Test helpers
+ * In-memory databases with the current schema
+ */
+
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+const { registerSqlFunctions } = require('../lib/query');
+
+const SCHEMA_PATH = path.join(__dirname, '..', 'database', 'schema.sql');
+
+// A new in-memory database with schema.sql and the SQL functions the server registers
+function createTestDb() {
+    const db = new Database(':memory:');
+    registerSqlFunctions(db);
+    db.exec(fs.readFileSync(SCHEMA_PATH, 'utf8'));
+    return db;
+}
+
+// A site with one alert rule pointing at `url`; returns the rule's id
+function insertAlertRule(db, url) {
+    const siteId = db.prepare("INSERT INTO sites (domain, name) VALUES ('example.com', 'example.com')").run().lastInsertRowid;
+    return db.prepare(`
+        INSERT INTO alert_rules (site_id, name, metric, condition, threshold, window_minutes, cooldown_minutes, webhook_url, webhook_secret)
+        VALUES (?, 'Traffic', 'pageviews', 'above', 100, 5, 60, ?, 'secret')
+    `).run(siteId, url).lastInsertRowid;
+}
+
+function wait(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+module.exports = { createTestDb, insertAlertRule, wait };
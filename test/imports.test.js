@@ -0,0 +1,29 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Readable } = require('stream');
+const { createImports } = require('../lib/imports');
+const { createTestDb, wait } = require('./helpers');
+
+test('an import whose failure handling throws is still marked failed', async t => {
+    const unhandled = [];
+    const onUnhandled = err => unhandled.push(err);
+    process.on('unhandledRejection', onUnhandled);
+    t.after(() => process.off('unhandledRejection', onUnhandled));
+    const uploadDir = fs.mkdtempSync(path.join(os.tmpdir(), 'imports-'));
+    t.after(() => fs.rmSync(uploadDir, { recursive: true, force: true }));
+
+    const db = createTestDb();
+    const siteId = db.prepare("INSERT INTO sites (domain, name) VALUES ('example.com', 'example.com')").run().lastInsertRowid;
+    const imports = createImports(db, { rollups: { addImport() {} }, uploadDir, maxBytes: 1024 * 1024 });
+    // Removing the import's rows fails, so the failed import can't be cleaned up
+    db.exec('DROP TABLE import_aggregates');
+
+    const { import: created } = await imports.create(siteId, { source: 'ga4' }, Readable.from(['not,an,export\n1,2,3\n']));
+    await wait(100);
+
+    assert.deepStrictEqual(unhandled, []);
+    assert.strictEqual(imports.get(created.id).status, 'failed');
+});
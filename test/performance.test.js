@@ -0,0 +1,51 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createPerformance, parseMeasurements } = require('../lib/performance');
+const { toSqliteDateTime } = require('../lib/query');
+const { createTestDb } = require('./helpers');
+
+function setUp() {
+    const db = createTestDb();
+    const siteId = db.prepare("INSERT INTO sites (domain, name) VALUES ('example.com', 'example.com')").run().lastInsertRowid;
+    const at = toSqliteDateTime(new Date());
+    db.prepare('INSERT INTO visitors (visitor_id, site_id) VALUES (?, ?)').run('v1', siteId);
+    db.prepare('INSERT INTO sessions (site_id, visitor_id, session_id, started_at) VALUES (?, ?, ?, ?)').run(siteId, 'v1', 's1', at);
+    return { db, hit: { siteId, sessionId: 's1', visitorId: 'v1', at } };
+}
+
+function rows(db) {
+    return db.prepare('SELECT page_view_id, page_path, lcp, cls FROM web_vitals ORDER BY id').all();
+}
+
+test('repeated vitals of a page view update its row', () => {
+    const { db, hit } = setUp();
+    const pageViewId = db.prepare("INSERT INTO page_views (site_id, session_id, visitor_id, page_path, viewed_at) VALUES (?, 's1', 'v1', '/', ?)")
+        .run(hit.siteId, hit.at).lastInsertRowid;
+    const performance = createPerformance(db);
+
+    performance.record(hit, '/', parseMeasurements({ vitals: { lcp: 1200 } }));
+    performance.record(hit, '/', parseMeasurements({ vitals: { lcp: 1500, cls: 0.05 } }));
+
+    assert.deepStrictEqual(rows(db), [{ page_view_id: pageViewId, page_path: '/', lcp: 1500, cls: 0.05 }]);
+});
+
+test('repeated vitals of a page without a page view update one row per session and path', () => {
+    const { db, hit } = setUp();
+    const performance = createPerformance(db);
+
+    performance.record(hit, '/pricing', parseMeasurements({ vitals: { lcp: 1200 } }));
+    performance.record(hit, '/pricing', parseMeasurements({ vitals: { cls: 0.2 } }));
+    performance.record(hit, '/pricing', parseMeasurements({ vitals: { lcp: 1800 } }));
+    performance.record(hit, '/docs', parseMeasurements({ vitals: { lcp: 900 } }));
+
+    assert.deepStrictEqual(rows(db), [
+        { page_view_id: null, page_path: '/pricing', lcp: 1800, cls: 0.2 },
+        { page_view_id: null, page_path: '/docs', lcp: 900, cls: null }
+    ]);
+});
+
+test('measurements out of range are rejected', () => {
+    assert.throws(() => parseMeasurements({ vitals: { lcp: -1 } }), /vitals.lcp must be a number/);
+    assert.throws(() => parseMeasurements({ navigation: { type: 'teleport' } }), /navigation.type must be one of/);
+    assert.throws(() => parseMeasurements({}), /must carry vitals or navigation timings/);
+});
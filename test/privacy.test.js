@@ -0,0 +1,83 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createPrivacy, getPrivacySettings, validatePrivacySettings, hasOptOutSignal, truncateIp } = require('../lib/privacy');
+const { createTestDb } = require('./helpers');
+
+test('IP addresses are stored as each mode says', () => {
+    const privacy = createPrivacy(createTestDb());
+    assert.strictEqual(privacy.anonymizeIp('203.0.113.42', 'full'), '203.0.113.42');
+    assert.strictEqual(privacy.anonymizeIp('203.0.113.42', 'truncate'), '203.0.113.0');
+    assert.strictEqual(privacy.anonymizeIp('::ffff:203.0.113.42', 'truncate'), '203.0.113.0');
+    assert.strictEqual(privacy.anonymizeIp('2001:db8:85a3:8d3:1319:8a2e:370:7348', 'truncate'), '2001:db8:85a3::');
+    assert.strictEqual(privacy.anonymizeIp('203.0.113.42', 'none'), null);
+
+    const hashed = privacy.anonymizeIp('203.0.113.42', 'hash');
+    assert.match(hashed, /^[0-9a-f]{32}$/);
+    assert.strictEqual(privacy.anonymizeIp('203.0.113.42', 'hash'), hashed);
+    assert.notStrictEqual(privacy.anonymizeIp('203.0.113.43', 'hash'), hashed);
+    assert.strictEqual(truncateIp('not an ip'), null);
+});
+
+test('cookieless visitor ids change with the daily salt', () => {
+    const db = createTestDb();
+    const privacy = createPrivacy(db);
+    const id = privacy.getCookielessVisitorId(1, '203.0.113.42', 'Firefox');
+    assert.match(id, /^cl_[0-9a-f]{32}$/);
+    assert.strictEqual(privacy.getCookielessVisitorId(1, '203.0.113.42', 'Firefox'), id);
+    assert.notStrictEqual(privacy.getCookielessVisitorId(2, '203.0.113.42', 'Firefox'), id);
+
+    // A new day's salt replaces older ones
+    db.prepare("UPDATE daily_salts SET day = '2000-01-01'").run();
+    assert.notStrictEqual(privacy.getCookielessVisitorId(1, '203.0.113.42', 'Firefox'), id);
+    assert.strictEqual(db.prepare('SELECT COUNT(*) as count FROM daily_salts').get().count, 1);
+});
+
+test('site settings fall back to the environment and are validated', t => {
+    t.after(() => {
+        delete process.env.PRIVACY_IP_MODE;
+    });
+    process.env.PRIVACY_IP_MODE = 'hash';
+    assert.deepStrictEqual(getPrivacySettings({ settings: {} }), { ipMode: 'hash', cookieless: false, respectDoNotTrack: false });
+    assert.deepStrictEqual(
+        getPrivacySettings({ settings: { privacy: { ipMode: 'none', cookieless: true, respectDoNotTrack: true } } }),
+        { ipMode: 'none', cookieless: true, respectDoNotTrack: true }
+    );
+
+    assert.throws(() => validatePrivacySettings({ ipMode: 'scramble' }), /ipMode must be one of/);
+    assert.throws(() => validatePrivacySettings({ cookieless: 'yes' }), /cookieless must be true or false/);
+    assert.throws(() => validatePrivacySettings([]), /must be an object/);
+
+    assert.ok(hasOptOutSignal({ headers: { dnt: '1' } }));
+    assert.ok(hasOptOutSignal({ headers: { 'sec-gpc': '1' } }));
+    assert.ok(!hasOptOutSignal({ headers: { dnt: '0' } }));
+});
+
+test('a visitor can be exported and then erased from every table', () => {
+    const db = createTestDb();
+    const privacy = createPrivacy(db);
+    const siteId = db.prepare("INSERT INTO sites (domain, name) VALUES ('example.com', 'example.com')").run().lastInsertRowid;
+    for (const visitorId of ['v1', 'v2']) {
+        db.prepare('INSERT INTO visitors (visitor_id, site_id, ip_address) VALUES (?, ?, ?)').run(visitorId, siteId, '203.0.113.42');
+        db.prepare("INSERT INTO visitor_details (visitor_id, site_id, country) VALUES (?, ?, 'FR')").run(visitorId, siteId);
+        db.prepare("INSERT INTO sessions (site_id, visitor_id, session_id, started_at) VALUES (?, ?, ?, '2024-05-01 10:00:00')")
+            .run(siteId, visitorId, `${visitorId}-s`);
+        db.prepare("INSERT INTO page_views (site_id, session_id, visitor_id, page_path, viewed_at) VALUES (?, ?, ?, '/', '2024-05-01 10:00:00')")
+            .run(siteId, `${visitorId}-s`, visitorId);
+        db.prepare("INSERT INTO events (site_id, session_id, visitor_id, event_type, event_name, created_at) VALUES (?, ?, ?, 'event', 'signup', '2024-05-01 10:01:00')")
+            .run(siteId, `${visitorId}-s`, visitorId);
+    }
+
+    const exported = privacy.exportVisitor('v1');
+    assert.strictEqual(exported.visitor.ip_address, '203.0.113.42');
+    assert.strictEqual(exported.visitorDetails.length, 1);
+    assert.strictEqual(exported.sessions.length, 1);
+    assert.strictEqual(exported.pageViews.length, 1);
+    assert.strictEqual(exported.events.length, 1);
+    assert.strictEqual(privacy.exportVisitor('unknown'), null);
+
+    assert.deepStrictEqual(privacy.deleteVisitor('v1'), {
+        events: 1, page_views: 1, web_vitals: 0, sessions: 1, visitor_details: 1, visitors: 1
+    });
+    assert.strictEqual(privacy.exportVisitor('v1'), null);
+    assert.strictEqual(privacy.exportVisitor('v2').sessions.length, 1);
+});
@@ -0,0 +1,82 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const Database = require('better-sqlite3');
+const { INTERVALS, parseFilters, parseStatsQuery, parseDate, parseLimit, localTimeSql, listBuckets } = require('../lib/query');
+const { ValidationError } = require('../lib/errors');
+
+test('regex filters that can backtrack catastrophically are rejected', () => {
+    for (const pattern of ['(a+)+$', '(a|aa)*b', '(\\w+\\s?)*$', '((a)+)+', '(a)\\1', '(?=a)b', 'a.*b.*c.*d']) {
+        assert.throws(() => parseFilters(`page=~${pattern}`), ValidationError, pattern);
+    }
+});
+
+test('ordinary regex filters are accepted', () => {
+    for (const pattern of ['^/blog/.*', '^/(en|de)/blog/.+$', '(?:pricing|plans)', '^/p/\\d+$', '(ab)+', '[(a+)+]+']) {
+        assert.deepStrictEqual(parseFilters(`page!~${pattern}`), [{ dimension: 'page', operator: '!~', value: pattern }]);
+    }
+});
+
+test('periods and date ranges are validated', () => {
+    assert.strictEqual(parseStatsQuery({}).period, '24h');
+    assert.strictEqual(parseStatsQuery({}, { period: '7d' }).period, '7d');
+    assert.strictEqual(parseStatsQuery({ period: 'all' }).start, null);
+    assert.throws(() => parseStatsQuery({ period: '1y' }), /period must be one of: 24h, 7d, 30d, 90d, all/);
+    assert.throws(() => parseStatsQuery({ period: 'constructor' }), ValidationError);
+
+    assert.throws(() => parseStatsQuery({ startDate: '2024-05-01' }), /must be given together/);
+    assert.throws(() => parseStatsQuery({ startDate: '2024-05-10', endDate: '2024-05-01' }), /must not be after endDate/);
+    assert.throws(() => parseStatsQuery({ startDate: '2024-02-30', endDate: '2024-03-01' }), /not a valid calendar date/);
+    assert.throws(() => parseStatsQuery({ startDate: '2024-05-01T24:00', endDate: '2024-05-02' }), /invalid time/);
+    assert.throws(() => parseStatsQuery({ startDate: "2024-05-01' OR 1=1", endDate: '2024-05-02' }), /must be a date/);
+    assert.throws(() => parseStatsQuery({ timezone: 'Mars/Olympus' }), /Unknown timezone/);
+    assert.throws(() => parseStatsQuery({ includeBots: 'yes' }), /includeBots must be true or false/);
+});
+
+test('date-only ranges cover whole days in the report timezone', () => {
+    const utc = parseStatsQuery({ startDate: '2024-05-01', endDate: '2024-05-02' });
+    assert.strictEqual(utc.start.toISOString(), '2024-05-01T00:00:00.000Z');
+    assert.strictEqual(utc.end.toISOString(), '2024-05-02T23:59:59.000Z');
+
+    const paris = parseStatsQuery({ startDate: '2024-05-01', endDate: '2024-05-01' }, { timezone: 'Europe/Paris' });
+    assert.strictEqual(paris.start.toISOString(), '2024-04-30T22:00:00.000Z');
+    assert.strictEqual(paris.end.toISOString(), '2024-05-01T21:59:59.000Z');
+
+    // An explicit offset wins over the timezone
+    assert.strictEqual(parseDate('2024-05-01T10:00:00+02:00', 'startDate', 'UTC', false).toISOString(), '2024-05-01T08:00:00.000Z');
+});
+
+test('limits must be whole numbers within range', () => {
+    assert.strictEqual(parseLimit(undefined, 10, 100), 10);
+    assert.strictEqual(parseLimit('25', 10, 100), 25);
+    for (const value of ['0', '101', '2.5', 'ten']) {
+        assert.throws(() => parseLimit(value, 10, 100), /limit must be an integer between 1 and 100/);
+    }
+});
+
+test('hourly buckets skip and merge the hours DST changes add or remove', () => {
+    // Paris springs forward at 02:00 on 2024-03-31 and falls back at 03:00 on 2024-10-27
+    const spring = listBuckets(new Date('2024-03-31T00:00:00Z'), new Date('2024-03-31T02:00:00Z'), 'hour', 'Europe/Paris', 100);
+    assert.deepStrictEqual(spring, ['2024-03-31 01:00', '2024-03-31 03:00', '2024-03-31 04:00']);
+
+    const autumn = listBuckets(new Date('2024-10-26T23:00:00Z'), new Date('2024-10-27T01:00:00Z'), 'hour', 'Europe/Paris', 100);
+    assert.deepStrictEqual(autumn, ['2024-10-27 01:00', '2024-10-27 02:00']);
+
+    const days = listBuckets(new Date('2024-03-30T12:00:00Z'), new Date('2024-04-01T12:00:00Z'), 'day', 'Europe/Paris', 100);
+    assert.deepStrictEqual(days, ['2024-03-30', '2024-03-31', '2024-04-01']);
+});
+
+test('rows are bucketed by wall-clock time on both sides of a DST change', () => {
+    const db = new Database(':memory:');
+    db.exec('CREATE TABLE hits (at TEXT)');
+    // Paris is UTC+1 before the switch at 01:00 UTC and UTC+2 after it, so 22:30 UTC on the
+    // day of the switch is already the next day there
+    for (const at of ['2024-03-30 23:30:00', '2024-03-31 00:30:00', '2024-03-31 22:30:00']) {
+        db.prepare('INSERT INTO hits (at) VALUES (?)').run(at);
+    }
+    const local = localTimeSql('at', 'Europe/Paris', new Date('2024-03-30T00:00:00Z'), new Date('2024-04-02T00:00:00Z'));
+
+    const hours = db.prepare(`SELECT ${INTERVALS.hour.sql(local)} as bucket FROM hits ORDER BY at`).pluck().all();
+    assert.deepStrictEqual(hours, ['2024-03-31 00:00', '2024-03-31 01:00', '2024-04-01 00:00']);
+    const days = db.prepare(`SELECT ${INTERVALS.day.sql(local)} as bucket, COUNT(*) as hits FROM hits GROUP BY bucket`).all();
+    assert.deepStrictEqual(days, [{ bucket: '2024-03-31', hits: 2 }, { bucket: '2024-04-01', hits: 1 }]);
+});
@@ -0,0 +1,80 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const { createRetention } = require('../lib/retention');
+const { toSqliteDateTime } = require('../lib/query');
+const { createTestDb } = require('./helpers');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function insertSession(db, siteId, visitorId, sessionId, daysAgo) {
+    const at = toSqliteDateTime(new Date(Date.now() - daysAgo * DAY_MS));
+    db.prepare(`
+        INSERT INTO visitors (visitor_id, site_id, user_agent, created_at, last_seen) VALUES (?, ?, 'Firefox', ?, ?)
+        ON CONFLICT (visitor_id) DO UPDATE SET last_seen = MAX(last_seen, excluded.last_seen)
+    `).run(visitorId, siteId, at, at);
+    db.prepare(`
+        INSERT INTO visitor_details (visitor_id, site_id, country, browser) VALUES (?, ?, 'FR', 'Firefox')
+        ON CONFLICT (visitor_id) DO NOTHING
+    `).run(visitorId, siteId);
+    db.prepare('INSERT INTO sessions (site_id, visitor_id, session_id, started_at) VALUES (?, ?, ?, ?)')
+        .run(siteId, visitorId, sessionId, at);
+    db.prepare("INSERT INTO page_views (site_id, session_id, visitor_id, page_path, viewed_at) VALUES (?, ?, ?, '/', ?)")
+        .run(siteId, sessionId, visitorId, at);
+}
+
+function readArchive(dir, table) {
+    const [file] = fs.readdirSync(dir).filter(name => name.startsWith(`${table}-`));
+    return zlib.gunzipSync(fs.readFileSync(path.join(dir, file))).toString().trim().split('\n').map(line => JSON.parse(line));
+}
+
+test('pruning sessions deletes and archives the visitors left without any', async t => {
+    const archiveDir = fs.mkdtempSync(path.join(os.tmpdir(), 'retention-'));
+    t.after(() => fs.rmSync(archiveDir, { recursive: true, force: true }));
+    const db = createTestDb();
+    const siteId = db.prepare("INSERT INTO sites (domain, name) VALUES ('example.com', 'example.com')").run().lastInsertRowid;
+    insertSession(db, siteId, 'gone', 's1', 40);
+    insertSession(db, siteId, 'gone', 's2', 35);
+    insertSession(db, siteId, 'returning', 's3', 40);
+    insertSession(db, siteId, 'returning', 's4', 1);
+
+    const retention = createRetention(db, {
+        policies: { sessions: 30 },
+        archiveDir,
+        intervalMs: DAY_MS,
+        startDelayMs: 0,
+        rolledUntil: () => new Date()
+    });
+    const { deleted, error } = await retention.prune();
+
+    assert.strictEqual(error, null);
+    assert.strictEqual(deleted.sessions, 3);
+    assert.strictEqual(deleted.visitors, 1);
+    assert.strictEqual(deleted.visitor_details, 1);
+    assert.deepStrictEqual(db.prepare('SELECT visitor_id FROM visitors').pluck().all(), ['returning']);
+    assert.deepStrictEqual(db.prepare('SELECT visitor_id FROM visitor_details').pluck().all(), ['returning']);
+
+    assert.deepStrictEqual(readArchive(archiveDir, 'visitors').map(row => row.visitor_id), ['gone']);
+    assert.deepStrictEqual(readArchive(archiveDir, 'visitor_details').map(row => row.country), ['FR']);
+});
+
+test('visitors are kept while sessions have no retention period', async () => {
+    const db = createTestDb();
+    const siteId = db.prepare("INSERT INTO sites (domain, name) VALUES ('example.com', 'example.com')").run().lastInsertRowid;
+    insertSession(db, siteId, 'old', 's1', 40);
+    db.prepare('DELETE FROM page_views').run();
+    db.prepare('DELETE FROM sessions').run();
+
+    const retention = createRetention(db, {
+        policies: { page_views: 30 },
+        intervalMs: DAY_MS,
+        startDelayMs: 0,
+        rolledUntil: () => new Date()
+    });
+    await retention.prune();
+
+    assert.strictEqual(db.prepare('SELECT COUNT(*) as count FROM visitors').get().count, 1);
+});
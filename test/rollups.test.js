@@ -0,0 +1,98 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createRollups } = require('../lib/rollups');
+const { createRetention } = require('../lib/retention');
+const { parseStatsQuery, toSqliteDateTime } = require('../lib/query');
+const { createTestDb, wait } = require('./helpers');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// A session with one page view, `daysAgo` days back at 10:00 UTC
+function insertVisit(db, siteId, visitorId, sessionId, daysAgo, browser) {
+    const day = new Date(Date.now() - daysAgo * DAY_MS);
+    const at = toSqliteDateTime(new Date(Date.UTC(day.getUTCFullYear(), day.getUTCMonth(), day.getUTCDate(), 10)));
+    db.prepare(`
+        INSERT INTO visitors (visitor_id, site_id, created_at, last_seen) VALUES (?, ?, ?, ?)
+        ON CONFLICT (visitor_id) DO NOTHING
+    `).run(visitorId, siteId, at, at);
+    db.prepare(`
+        INSERT INTO visitor_details (visitor_id, site_id, browser, device_type) VALUES (?, ?, ?, 'desktop')
+        ON CONFLICT (visitor_id) DO NOTHING
+    `).run(visitorId, siteId, browser);
+    db.prepare(`
+        INSERT INTO sessions (site_id, visitor_id, session_id, started_at, page_views) VALUES (?, ?, ?, ?, 1)
+    `).run(siteId, visitorId, sessionId, at);
+    db.prepare(`
+        INSERT INTO page_views (site_id, session_id, visitor_id, page_path, viewed_at) VALUES (?, ?, ?, '/', ?)
+    `).run(siteId, sessionId, visitorId, at);
+}
+
+// Run rollUp() until it has caught up; it reschedules itself in batches
+async function rollUpAll(db, rollups) {
+    rollups.rollUp();
+    const done = () => db.prepare("SELECT rolled_until FROM rollup_state WHERE granularity = 'hour'").get();
+    for (let tries = 0; tries < 100; tries++) {
+        await wait(10);
+        const row = done();
+        if (row && Date.now() - new Date(`${row.rolled_until.replace(' ', 'T')}Z`).getTime() < 2 * 60 * 60 * 1000) {
+            return;
+        }
+    }
+}
+
+// Three sessions of a returning visitor on three days, and one visitor seen once
+async function setUp() {
+    const db = createTestDb();
+    const siteId = db.prepare("INSERT INTO sites (domain, name) VALUES ('example.com', 'example.com')").run().lastInsertRowid;
+    insertVisit(db, siteId, 'returning', 's1', 3, 'Chrome');
+    insertVisit(db, siteId, 'returning', 's2', 2, 'Chrome');
+    insertVisit(db, siteId, 'returning', 's3', 1, 'Chrome');
+    insertVisit(db, siteId, 'once', 's4', 2, 'Firefox');
+
+    const rollups = createRollups(db);
+    await rollUpAll(db, rollups);
+    assert.ok(db.prepare("SELECT COUNT(*) as count FROM rollups WHERE granularity = 'day'").get().count > 0);
+    return { db, siteId, rollups };
+}
+
+test('visitors are summed over rolled-up days, once per day they were seen', async () => {
+    const { siteId, rollups } = await setUp();
+    const rolledUp = parseStatsQuery({ period: '7d' }, { siteId });
+    const raw = parseStatsQuery({ period: '7d', rollups: 'false' }, { siteId });
+
+    const [total] = rollups.report('total', rolledUp, { total: true });
+    assert.deepStrictEqual(total, { visitors: 4, sessions: 4, page_views: 4 });
+
+    const browsers = rollups.report('browser', rolledUp, { orderBy: 'visitors', skipEmpty: true });
+    assert.deepStrictEqual(browsers, [
+        { value: 'Chrome', visitors: 3, sessions: 3, page_views: 3 },
+        { value: 'Firefox', visitors: 1, sessions: 1, page_views: 1 }
+    ]);
+
+    // Within a day the counts match raw rows exactly
+    const days = rollups.report('total', rolledUp, { bucket: 'day', total: true });
+    assert.deepStrictEqual(days.map(row => row.visitors), [1, 2, 1]);
+    assert.deepStrictEqual(days, rollups.report('total', raw, { bucket: 'day', total: true }));
+});
+
+test('rolled-up counts, visitors included, survive pruning the raw rows', async () => {
+    const { db, siteId, rollups } = await setUp();
+    const statsQuery = parseStatsQuery({ period: '7d' }, { siteId });
+    const report = () => ({
+        total: rollups.report('total', statsQuery, { total: true }),
+        browsers: rollups.report('browser', statsQuery, { orderBy: 'visitors', skipEmpty: true }),
+        days: rollups.report('total', statsQuery, { bucket: 'day', total: true })
+    });
+    const before = report();
+
+    const retention = createRetention(db, {
+        policies: { sessions: 1 },
+        intervalMs: DAY_MS,
+        startDelayMs: 0,
+        rolledUntil: rollups.rolledUntil
+    });
+    const { deleted } = await retention.prune();
+    assert.ok(deleted.sessions >= 2);
+
+    assert.deepStrictEqual(report(), before);
+});
@@ -0,0 +1,66 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const { createWebhookSender } = require('../lib/webhooks');
+const { createTestDb, insertAlertRule, wait } = require('./helpers');
+
+// A receiver that fails every delivery, so each one is retried
+function startFailingReceiver() {
+    const requests = [];
+    const server = http.createServer((req, res) => {
+        requests.push(req.headers['x-webhook-id']);
+        req.resume();
+        res.writeHead(500).end();
+    });
+    return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve({ server, requests })));
+}
+
+test('a retry pending when its rule is deleted stops without logging or crashing', async t => {
+    const { server, requests } = await startFailingReceiver();
+    t.after(() => server.close());
+    const unhandled = [];
+    const onUnhandled = err => unhandled.push(err);
+    process.on('unhandledRejection', onUnhandled);
+    t.after(() => process.off('unhandledRejection', onUnhandled));
+
+    const db = createTestDb();
+    const url = `http://127.0.0.1:${server.address().port}/hook`;
+    const ruleId = insertAlertRule(db, url);
+    const webhooks = createWebhookSender(db, { retryDelaysMs: [100, 100] });
+
+    webhooks.send({ ruleId, url, secret: 'secret' }, { id: 'event-1' });
+    await wait(50);
+    assert.strictEqual(db.prepare('SELECT COUNT(*) as count FROM webhook_deliveries').get().count, 1);
+
+    // What DELETE /api/admin/alerts/:id does
+    db.prepare('DELETE FROM webhook_deliveries WHERE rule_id = ?').run(ruleId);
+    db.prepare('DELETE FROM alert_rules WHERE id = ?').run(ruleId);
+    await wait(300);
+
+    assert.deepStrictEqual(unhandled, []);
+    assert.strictEqual(requests.length, 1);
+    assert.strictEqual(db.prepare('SELECT COUNT(*) as count FROM webhook_deliveries').get().count, 0);
+});
+
+test('a rule deleted while a delivery is in flight is not logged', async t => {
+    let release;
+    const server = http.createServer((req, res) => {
+        req.resume();
+        release = () => res.writeHead(500).end();
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    t.after(() => server.close());
+
+    const db = createTestDb();
+    const url = `http://127.0.0.1:${server.address().port}/hook`;
+    const ruleId = insertAlertRule(db, url);
+    const webhooks = createWebhookSender(db, { retryDelaysMs: [50] });
+
+    webhooks.send({ ruleId, url, secret: 'secret' }, { id: 'event-1' });
+    await wait(50);
+    db.prepare('DELETE FROM alert_rules WHERE id = ?').run(ruleId);
+    release();
+    await wait(200);
+
+    assert.strictEqual(db.prepare('SELECT COUNT(*) as count FROM webhook_deliveries').get().count, 0);
+});
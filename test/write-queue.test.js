@@ -0,0 +1,30 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const Database = require('better-sqlite3');
+const { createWriteQueue } = require('../lib/write-queue');
+
+test('results of written hits are passed on only after their batch commits', () => {
+    const db = new Database(':memory:');
+    db.exec('CREATE TABLE hits (id INTEGER PRIMARY KEY, name TEXT NOT NULL)');
+    const committed = [];
+    const queue = createWriteQueue(db, hit => {
+        db.prepare('INSERT INTO hits (name) VALUES (?)').run(hit.name);
+        return hit.name;
+    }, {
+        afterCommit: name => committed.push({
+            name,
+            inTransaction: db.inTransaction,
+            stored: db.prepare('SELECT COUNT(*) as count FROM hits WHERE name = ?').get(name).count
+        })
+    });
+
+    queue.enqueue([{ name: 'a' }, { name: null }, { name: 'b' }]);
+    assert.deepStrictEqual(committed, []);
+    queue.drain();
+
+    assert.deepStrictEqual(committed, [
+        { name: 'a', inTransaction: false, stored: 1 },
+        { name: 'b', inTransaction: false, stored: 1 }
+    ]);
+    assert.strictEqual(queue.stats().failed, 1);
+});
@@ -0,0 +1,431 @@
+/**
+ * Cloud Dept. Analytics tracker, served by the API as /script.js
+ *
+ * <script defer src="https://analytics.example.com/script.js" data-site="clouddept.io"></script>
+ *
+ * Attributes:
+ *   data-site       site id or domain (default: resolved by the API from the page's origin)
+ *   data-api        API base URL (default: where this script is served from)
+ *   data-key        site key with the ingest scope, for sites that require one
+ *   data-cookieless "true" to keep no visitor or session ID in storage
+ *   data-spa        "false" to stop tracking history API route changes
+ *   data-heartbeat  seconds between heartbeats while the page is visible (default 15, 0 disables)
+ *   data-outbound   "false" to stop tracking outbound link clicks
+ *   data-downloads  "false" to stop tracking file downloads
+ *   data-vitals     "false" to stop sending Core Web Vitals and navigation timings of the page load
+ *
+ * Elements with data-event="<name>" send that event when clicked (forms: when submitted), with
+ * data-event-<property>="<value>" attributes as its properties. window.cdAnalytics.track(name,
+ * properties) sends an event from code.
+ */
+(function () {
+    'use strict';
+
+    var script = document.currentScript;
+    if (!script || window.cdAnalytics) {
+        return;
+    }
+
+    // Same as the API's default SESSION_TIMEOUT_MINUTES
+    var SESSION_TIMEOUT_MS = 30 * 60 * 1000;
+    var VISITOR_KEY = 'cda_visitor';
+    var SESSION_KEY = 'cda_session';
+    var CAMPAIGN_PARAMS = ['utm_source', 'utm_medium', 'utm_campaign', 'utm_term', 'utm_content', 'gclid', 'fbclid'];
+    var DOWNLOAD_PATTERN = /\.(pdf|zip|gz|tgz|rar|7z|dmg|exe|msi|pkg|deb|rpm|apk|csv|xlsx?|docx?|pptx?|txt|rtf|epub|mp3|mp4|mov|avi|wav|iso)$/i;
+
+    var config = {
+        site: script.getAttribute('data-site'),
+        api: (script.getAttribute('data-api') || new URL(script.src).origin).replace(/\/+$/, ''),
+        key: script.getAttribute('data-key'),
+        cookieless: script.getAttribute('data-cookieless') === 'true',
+        spa: script.getAttribute('data-spa') !== 'false',
+        heartbeatSeconds: parseInt(script.getAttribute('data-heartbeat') || '15', 10),
+        outbound: script.getAttribute('data-outbound') !== 'false',
+        downloads: script.getAttribute('data-downloads') !== 'false',
+        vitals: script.getAttribute('data-vitals') !== 'false'
+    };
+
+    function uuid() {
+        if (window.crypto && crypto.randomUUID) {
+            return crypto.randomUUID();
+        }
+        return 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, function (c) {
+            var r = Math.random() * 16 | 0;
+            return (c === 'x' ? r : (r & 0x3 | 0x8)).toString(16);
+        });
+    }
+
+    // Storage may be unavailable (private browsing, blocked cookies)
+    function load(key) {
+        try {
+            return window.localStorage.getItem(key);
+        } catch (err) {
+            return null;
+        }
+    }
+
+    function save(key, value) {
+        try {
+            window.localStorage.setItem(key, value);
+        } catch (err) {
+            // Keep the value in memory only
+        }
+    }
+
+    // Cookieless sites get their visitor and session from the API; the session ID it returns
+    // is kept in memory for this page only
+    var memory = { visitorId: null, session: null };
+
+    function getVisitorId() {
+        if (config.cookieless) {
+            return null;
+        }
+        var visitorId = memory.visitorId || load(VISITOR_KEY);
+        if (!visitorId) {
+            visitorId = uuid();
+            save(VISITOR_KEY, visitorId);
+        }
+        memory.visitorId = visitorId;
+        return visitorId;
+    }
+
+    // The session continues while hits are less than SESSION_TIMEOUT_MS apart, across tabs
+    function getSessionId() {
+        var now = Date.now();
+        var session = memory.session;
+        if (!config.cookieless) {
+            try {
+                session = JSON.parse(load(SESSION_KEY)) || session;
+            } catch (err) {
+                // Start a new session
+            }
+        }
+        if (!session || !session.id || now - session.lastActivity > SESSION_TIMEOUT_MS) {
+            session = { id: config.cookieless ? null : uuid(), lastActivity: now };
+        }
+        session.lastActivity = now;
+        memory.session = session;
+        if (!config.cookieless) {
+            save(SESSION_KEY, JSON.stringify(session));
+        }
+        return session.id;
+    }
+
+    function getCampaign() {
+        var params = new URLSearchParams(location.search);
+        var campaign = null;
+        CAMPAIGN_PARAMS.forEach(function (param) {
+            var value = params.get(param);
+            if (value) {
+                campaign = campaign || {};
+                campaign[param] = value;
+            }
+        });
+        return campaign;
+    }
+
+    var pageReferrer = document.referrer || null;
+    var hasPageview = false;
+
+    function send(type, extra, useBeacon) {
+        var hit = {
+            type: type,
+            visitorId: getVisitorId(),
+            sessionId: getSessionId(),
+            page: {
+                path: location.pathname,
+                title: document.title,
+                url: location.href,
+                referrer: pageReferrer
+            },
+            browser: {
+                language: navigator.language,
+                webdriver: navigator.webdriver === true
+            },
+            screen: {
+                width: window.screen.width,
+                height: window.screen.height
+            }
+        };
+        if (config.site) {
+            hit.site = config.site;
+        }
+        if (config.key) {
+            hit.siteKey = config.key;
+        }
+        for (var field in extra) {
+            hit[field] = extra[field];
+        }
+
+        // text/plain avoids a CORS preflight; the API parses it as JSON
+        var url = config.api + '/api/track';
+        var body = JSON.stringify(hit);
+        if (useBeacon && navigator.sendBeacon && navigator.sendBeacon(url, new Blob([body], { type: 'text/plain' }))) {
+            return;
+        }
+        fetch(url, { method: 'POST', body: body, keepalive: true, credentials: 'omit' })
+            .then(function (response) {
+                return response.ok ? response.json() : null;
+            })
+            .then(function (result) {
+                if (result && result.sessionId && memory.session && !memory.session.id) {
+                    memory.session.id = result.sessionId;
+                }
+            })
+            .catch(function () {
+                // Analytics must never break the page
+            });
+    }
+
+    function pageview() {
+        var campaign = getCampaign();
+        send('pageview', campaign ? { utm: campaign } : {});
+        hasPageview = true;
+    }
+
+    function track(name, properties, type, useBeacon) {
+        send(type || 'event', { event: { name: name, properties: properties || undefined } }, useBeacon);
+    }
+
+    // data-event-plan="pro" -> { plan: "pro" }
+    function getEventProperties(element) {
+        var properties = null;
+        for (var i = 0; i < element.attributes.length; i++) {
+            var attribute = element.attributes[i];
+            if (attribute.name.indexOf('data-event-') === 0) {
+                properties = properties || {};
+                properties[attribute.name.slice('data-event-'.length)] = attribute.value;
+            }
+        }
+        return properties;
+    }
+
+    function onClick(e) {
+        var target = e.target instanceof Element ? e.target : null;
+        if (!target) {
+            return;
+        }
+
+        var tagged = target.closest('[data-event]');
+        if (tagged && tagged.tagName !== 'FORM') {
+            track(tagged.getAttribute('data-event'), getEventProperties(tagged), 'event', true);
+        }
+
+        var link = target.closest('a[href]');
+        if (!link || (link.protocol !== 'http:' && link.protocol !== 'https:')) {
+            return;
+        }
+        // Beacons survive the navigation the click starts
+        if (config.downloads && (link.hasAttribute('download') || DOWNLOAD_PATTERN.test(link.pathname))) {
+            track('file_download', { url: link.href }, 'download', true);
+        } else if (config.outbound && link.host !== location.host) {
+            track('outbound_link', { url: link.href }, 'click', true);
+        }
+    }
+
+    function onSubmit(e) {
+        var form = e.target;
+        if (form instanceof Element && form.hasAttribute('data-event')) {
+            track(form.getAttribute('data-event'), getEventProperties(form), 'form_submit', true);
+        }
+    }
+
+    // Single-page apps change the route through the history API
+    var lastPath = location.pathname;
+    function onRouteChange() {
+        if (location.pathname === lastPath) {
+            return;
+        }
+        pageReferrer = location.origin + lastPath;
+        lastPath = location.pathname;
+        pageview();
+    }
+
+    // Core Web Vitals of the page load, measured as web-vitals does. They are sent for the
+    // page the script loaded on (route changes have none) whenever the page is hidden and a
+    // value changed since the last send; the API keeps the latest.
+    function trackVitals() {
+        var path = location.pathname;
+        var url = location.href;
+        var referrer = document.referrer || null;
+        var navigation = performance.getEntriesByType('navigation')[0];
+        var activationStart = navigation && navigation.activationStart || 0;
+        // Paints after the page was first hidden don't reflect what the visitor waited for
+        var firstHidden = document.visibilityState === 'hidden' ? 0 : Infinity;
+        var vitals = {};
+        var lcpFinal = false;
+        var shift = { value: 0, first: 0, last: 0 };
+        var interactions = {};
+        var interactionCount = 0;
+        var lastSent = null;
+
+        function observe(type, callback, options) {
+            if (PerformanceObserver.supportedEntryTypes.indexOf(type) === -1) {
+                return;
+            }
+            var init = { type: type, buffered: true };
+            for (var key in options) {
+                init[key] = options[key];
+            }
+            try {
+                new PerformanceObserver(function (list) {
+                    list.getEntries().forEach(callback);
+                }).observe(init);
+            } catch (err) {
+                // Older browsers reject some options
+            }
+        }
+
+        function sinceActivation(time) {
+            return Math.max(time - activationStart, 0);
+        }
+
+        observe('paint', function (entry) {
+            if (entry.name === 'first-contentful-paint' && entry.startTime < firstHidden) {
+                vitals.fcp = sinceActivation(entry.startTime);
+            }
+        });
+        observe('largest-contentful-paint', function (entry) {
+            if (!lcpFinal && entry.startTime < firstHidden) {
+                vitals.lcp = sinceActivation(entry.startTime);
+            }
+        });
+        // The largest paint is final once the visitor interacts
+        ['keydown', 'pointerdown'].forEach(function (type) {
+            document.addEventListener(type, function () {
+                lcpFinal = true;
+            }, { once: true, capture: true });
+        });
+
+        // CLS is the largest session window: shifts less than 1s apart, spanning at most 5s
+        observe('layout-shift', function (entry) {
+            if (entry.hadRecentInput) {
+                return;
+            }
+            if (shift.value && entry.startTime - shift.last < 1000 && entry.startTime - shift.first < 5000) {
+                shift.value += entry.value;
+            } else {
+                shift.value = entry.value;
+                shift.first = entry.startTime;
+            }
+            shift.last = entry.startTime;
+            vitals.cls = Math.max(vitals.cls || 0, shift.value);
+        });
+
+        // INP is the slowest interaction, ignoring one in every 50 as outliers
+        function onInteraction(entry) {
+            if (!entry.interactionId) {
+                return;
+            }
+            if (!(entry.interactionId in interactions)) {
+                interactionCount++;
+                interactions[entry.interactionId] = 0;
+            }
+            interactions[entry.interactionId] = Math.max(interactions[entry.interactionId], entry.duration);
+        }
+        observe('event', onInteraction, { durationThreshold: 40 });
+        observe('first-input', onInteraction);
+
+        function getInp() {
+            var durations = Object.keys(interactions).map(function (id) {
+                return interactions[id];
+            }).sort(function (a, b) {
+                return b - a;
+            });
+            return durations.length ? durations[Math.min(Math.floor(interactionCount / 50), durations.length - 1)] : undefined;
+        }
+
+        function getNavigationTimings() {
+            if (!navigation) {
+                return undefined;
+            }
+            // Events that haven't happened yet are 0
+            function after(time) {
+                return time > 0 ? sinceActivation(time) : undefined;
+            }
+            return {
+                dns: navigation.domainLookupEnd - navigation.domainLookupStart,
+                connect: navigation.connectEnd - navigation.connectStart,
+                tls: navigation.secureConnectionStart > 0 ? navigation.connectEnd - navigation.secureConnectionStart : undefined,
+                request: Math.max(navigation.responseStart - navigation.requestStart, 0),
+                response: Math.max(navigation.responseEnd - navigation.responseStart, 0),
+                domInteractive: after(navigation.domInteractive),
+                domContentLoaded: after(navigation.domContentLoadedEventEnd),
+                load: after(navigation.loadEventEnd),
+                transferSize: navigation.transferSize,
+                type: activationStart > 0 ? 'prerender' : navigation.type
+            };
+        }
+
+        function sendVitals() {
+            firstHidden = Math.min(firstHidden, performance.now());
+            lcpFinal = true;
+            if (!hasPageview) {
+                return;
+            }
+            if (navigation) {
+                vitals.ttfb = sinceActivation(navigation.responseStart);
+            }
+            vitals.inp = getInp();
+            var extra = {
+                page: { path: path, title: document.title, url: url, referrer: referrer },
+                vitals: vitals,
+                navigation: getNavigationTimings()
+            };
+            var values = JSON.stringify([extra.vitals, extra.navigation]);
+            if (values !== lastSent) {
+                lastSent = values;
+                send('vitals', extra, true);
+            }
+        }
+
+        document.addEventListener('visibilitychange', function () {
+            if (document.visibilityState === 'hidden') {
+                sendVitals();
+            }
+        });
+        window.addEventListener('pagehide', sendVitals);
+    }
+
+    if (config.spa) {
+        ['pushState', 'replaceState'].forEach(function (method) {
+            var original = history[method];
+            history[method] = function () {
+                var result = original.apply(this, arguments);
+                onRouteChange();
+                return result;
+            };
+        });
+        window.addEventListener('popstate', onRouteChange);
+    }
+
+    document.addEventListener('click', onClick, true);
+    document.addEventListener('submit', onSubmit, true);
+
+    // Heartbeats measure time on page while it is visible; pagehide records the final stretch
+    if (config.heartbeatSeconds > 0) {
+        setInterval(function () {
+            if (hasPageview && document.visibilityState === 'visible') {
+                send('heartbeat', {});
+            }
+        }, config.heartbeatSeconds * 1000);
+    }
+    window.addEventListener('pagehide', function () {
+        if (hasPageview) {
+            send('pagehide', {}, true);
+        }
+    });
+
+    if (config.vitals && window.PerformanceObserver && PerformanceObserver.supportedEntryTypes) {
+        trackVitals();
+    }
+
+    window.cdAnalytics = {
+        track: function (name, properties) {
+            track(name, properties);
+        },
+        pageview: pageview
+    };
+
+    pageview();
+})();